@@ -12,6 +12,51 @@ const config = {
     secret: process.env.JWT_SECRET || 'your_jwt_secret_here', // Replace with secure key
     expiresIn: '1d',
   },
+  pricing: {
+    taxRate: parseFloat(process.env.TAX_RATE) || 0, // Fraction applied to the discounted rental subtotal, e.g. 0.2 for 20%
+  },
+  lateFees: {
+    graceHours: parseInt(process.env.LATE_FEE_GRACE_HOURS) || 0, // Hours after the due time (start of the end date) before a return counts as late
+    dailyRate: process.env.LATE_FEE_DAILY_RATE ? parseFloat(process.env.LATE_FEE_DAILY_RATE) : null, // null charges the booked daily rate
+    capDays: process.env.LATE_FEE_CAP_DAYS ? parseInt(process.env.LATE_FEE_CAP_DAYS) : null, // Max late days charged per unit; null for no cap
+  },
+  cancellation: {
+    freeDaysBeforeStart: process.env.CANCELLATION_FREE_DAYS ? parseInt(process.env.CANCELLATION_FREE_DAYS) : 2, // Customers cancel for free until this many days before the rental starts
+    feePercent: process.env.CANCELLATION_FEE_PERCENT ? parseFloat(process.env.CANCELLATION_FEE_PERCENT) : 50, // Share of the order total charged for later cancellations
+  },
+  invoice: {
+    numberPrefix: process.env.INVOICE_NUMBER_PREFIX || 'INV-', // Prepended to the zero-padded sequence number
+    company: {
+      name: process.env.COMPANY_NAME || 'Rent Website',
+      address: process.env.COMPANY_ADDRESS || '',
+      email: process.env.COMPANY_EMAIL || '',
+      phone: process.env.COMPANY_PHONE || '',
+      taxId: process.env.COMPANY_TAX_ID || '', // VAT / tax registration number printed on invoices
+    },
+    currency: process.env.INVOICE_CURRENCY || 'USD',
+  },
+  delivery: {
+    depot: {
+      latitude: process.env.DEPOT_LATITUDE ? parseFloat(process.env.DEPOT_LATITUDE) : null, // Distance zones need the depot location
+      longitude: process.env.DEPOT_LONGITUDE ? parseFloat(process.env.DEPOT_LONGITUDE) : null,
+    },
+  },
+  cart: {
+    holdMinutes: parseInt(process.env.CART_HOLD_MINUTES) || 15, // How long a cart hold reserves units without activity
+  },
+  mail: {
+    host: process.env.SMTP_HOST || '', // Without a host, mail is written to the log instead of sent
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER || '',
+    password: process.env.SMTP_PASSWORD || '',
+    from: process.env.MAIL_FROM || 'no-reply@localhost',
+  },
+  orderClaims: {
+    codeTtlMinutes: parseInt(process.env.ORDER_CLAIM_CODE_TTL_MINUTES) || 15, // How long an emailed claim code stays valid
+    maxAttempts: parseInt(process.env.ORDER_CLAIM_CODE_MAX_ATTEMPTS) || 5, // Wrong guesses before a code is burned
+    maxCodesPerHour: parseInt(process.env.ORDER_CLAIM_CODES_PER_HOUR) || 3, // Codes one account or email address can request per hour
+  },
   cloudinary: {
     cloud_name: process.env.CLOUDINARY_CLOUD_NAME || 'your_cloud_name',
     api_key: process.env.CLOUDINARY_API_KEY || 'your_api_key',
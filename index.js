@@ -5,12 +5,20 @@ const { sanitizeInput } = require('./utils/auth');
 const authRoutes = require('./routes/authRoutes');
 const pagesRoutes = require('./routes/pages');
 const productsRoutes = require('./routes/products');
+const inventoryUnitsRoutes = require('./routes/inventoryUnits');
+const productBlackoutsRoutes = require('./routes/productBlackouts');
+const orderChangeRequestsRoutes = require('./routes/orderChangeRequests');
+const orderMessagesRoutes = require('./routes/orderMessages');
 const ordersRoutes = require('./routes/orders');
 const usersRoutes = require('./routes/users');
 const cartRoutes = require('./routes/cart');
 const categoriesRoutes = require('./routes/categories');
 const adminRoutes = require('./routes/admin');
 const contactRoutes = require('./routes/contactRoutes');
+const couponsRoutes = require('./routes/coupons');
+const salesRoutes = require('./routes/sales');
+const addonsRoutes = require('./routes/addons');
+const deliveryRoutes = require('./routes/delivery');
 
 const app = express();
 
@@ -106,11 +114,20 @@ app.use(sanitizeInput);
 app.use('/api/admin', adminRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/pages', pagesRoutes);
+app.use('/api/products/:productId/units', inventoryUnitsRoutes);
+app.use('/api/products/:productId/blackouts', productBlackoutsRoutes);
 app.use('/api/products', productsRoutes);
+app.use('/api/orders/:orderId/change-requests', orderChangeRequestsRoutes);
+app.use('/api/orders/track/:secretKey/messages', orderMessagesRoutes);
+app.use('/api/orders/:orderId/messages', orderMessagesRoutes);
 app.use('/api/orders', ordersRoutes);
 app.use('/api/users', usersRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/categories', categoriesRoutes);
+app.use('/api/coupons', couponsRoutes);
+app.use('/api/sales', salesRoutes);
+app.use('/api/addons', addonsRoutes);
+app.use('/api/delivery', deliveryRoutes);
 app.use('/api/contact', (req, res, next) => {
   console.log('Contact route accessed:', req.method, req.path);
   next();
@@ -119,7 +136,7 @@ app.use('/api/contact', (req, res, next) => {
 // Catch-all for undefined API routes
 app.use('/api', (req, res) => {
   console.log('404 - API endpoint not found:', req.method, req.originalUrl);
-  console.log('Available routes: /admin, /auth, /pages, /products, /orders, /users, /cart, /categories, /contact');
+  console.log('Available routes: /admin, /auth, /pages, /products, /orders, /users, /cart, /categories, /coupons, /sales, /addons, /delivery, /contact');
   res.status(404).json({ 
     error: 'API endpoint not found',
     path: req.originalUrl,
@@ -0,0 +1,6 @@
+-- Per-product stock used by the availability checks in utils/availability.js
+ALTER TABLE products
+  ADD COLUMN stock_quantity INT NOT NULL DEFAULT 1 AFTER sale_price;
+
+-- Availability lookups filter order_items by product and date overlap
+CREATE INDEX idx_order_items_product_dates ON order_items (product_id, start_date, end_date);
@@ -0,0 +1,5 @@
+-- Optional time-limited reservation on a cart row; NULL means no hold
+ALTER TABLE cart
+  ADD COLUMN hold_expires_at DATETIME NULL AFTER price_snapshot;
+
+CREATE INDEX idx_cart_product_hold ON cart (product_id, hold_expires_at);
@@ -0,0 +1,27 @@
+-- Physical, serial-numbered units of a product
+CREATE TABLE inventory_units (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  product_id INT NOT NULL,
+  serial_number VARCHAR(100) NOT NULL,
+  unit_condition VARCHAR(50) NOT NULL DEFAULT 'good',
+  status ENUM('in_stock', 'out', 'maintenance', 'retired') NOT NULL DEFAULT 'in_stock',
+  notes TEXT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_inventory_units_serial (serial_number),
+  KEY idx_inventory_units_product (product_id),
+  CONSTRAINT fk_inventory_units_product FOREIGN KEY (product_id) REFERENCES products (id)
+);
+
+-- Which units went out on which order item; doubles as unit history
+CREATE TABLE order_item_units (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_item_id INT NOT NULL,
+  unit_id INT NOT NULL,
+  assigned_by INT NULL,
+  assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_order_item_units (order_item_id, unit_id),
+  KEY idx_order_item_units_unit (unit_id),
+  CONSTRAINT fk_order_item_units_item FOREIGN KEY (order_item_id) REFERENCES order_items (id) ON DELETE CASCADE,
+  CONSTRAINT fk_order_item_units_unit FOREIGN KEY (unit_id) REFERENCES inventory_units (id)
+);
@@ -0,0 +1,15 @@
+-- Maintenance/blackout windows. end_date is inclusive. A NULL unit_id blocks
+-- the whole product; otherwise only that unit is taken out of stock.
+CREATE TABLE product_blackouts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  product_id INT NOT NULL,
+  unit_id INT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  reason VARCHAR(255) NOT NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_product_blackouts_dates (product_id, start_date, end_date),
+  CONSTRAINT fk_product_blackouts_product FOREIGN KEY (product_id) REFERENCES products (id),
+  CONSTRAINT fk_product_blackouts_unit FOREIGN KEY (unit_id) REFERENCES inventory_units (id) ON DELETE CASCADE
+);
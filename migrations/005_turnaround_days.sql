@@ -0,0 +1,7 @@
+-- Days kept free on each side of a booking for cleaning and testing.
+-- A NULL product value falls back to its category's default.
+ALTER TABLE categories
+  ADD COLUMN turnaround_days INT NOT NULL DEFAULT 0;
+
+ALTER TABLE products
+  ADD COLUMN turnaround_days INT NULL AFTER stock_quantity;
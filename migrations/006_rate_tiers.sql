@@ -0,0 +1,10 @@
+-- Optional long-rental rates. duration_discounts holds
+-- [{ "min_days": 14, "percent_off": 20 }, ...]; see utils/pricing.js.
+ALTER TABLE products
+  ADD COLUMN weekly_rate DECIMAL(10, 2) NULL AFTER sale_price,
+  ADD COLUMN monthly_rate DECIMAL(10, 2) NULL AFTER weekly_rate,
+  ADD COLUMN duration_discounts TEXT NULL AFTER monthly_rate;
+
+-- Which tier priced each line (daily, weekly, monthly, duration_discount)
+ALTER TABLE order_items
+  ADD COLUMN pricing_tier VARCHAR(30) NOT NULL DEFAULT 'daily' AFTER total_price;
@@ -0,0 +1,12 @@
+-- Order-level totals as quoted at placement (utils/orderQuote.js)
+ALTER TABLE orders
+  ADD COLUMN subtotal DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN discount_total DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN tax_total DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN deposit_total DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN total_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
+
+-- Backfill from the line totals of existing orders
+UPDATE orders o
+  SET o.subtotal = (SELECT COALESCE(SUM(oi.total_price), 0) FROM order_items oi WHERE oi.order_id = o.id),
+      o.total_amount = (SELECT COALESCE(SUM(oi.total_price), 0) FROM order_items oi WHERE oi.order_id = o.id);
@@ -0,0 +1,33 @@
+-- Promo codes. product_ids / category_ids are JSON arrays restricting which
+-- lines the discount applies to; NULL means the whole order.
+CREATE TABLE coupons (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  code VARCHAR(50) NOT NULL,
+  description VARCHAR(255) NULL,
+  discount_type ENUM('percent', 'fixed') NOT NULL,
+  discount_value DECIMAL(10, 2) NOT NULL,
+  min_order_value DECIMAL(10, 2) NULL,
+  starts_at DATETIME NULL,
+  ends_at DATETIME NULL,
+  max_redemptions INT NULL,
+  max_redemptions_per_customer INT NULL,
+  product_ids TEXT NULL,
+  category_ids TEXT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_coupons_code (code)
+);
+
+CREATE TABLE coupon_redemptions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  coupon_id INT NOT NULL,
+  order_id INT NOT NULL,
+  user_id INT NULL,
+  email VARCHAR(255) NULL,
+  discount_amount DECIMAL(10, 2) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_coupon_redemptions_order (order_id),
+  KEY idx_coupon_redemptions_coupon (coupon_id),
+  CONSTRAINT fk_coupon_redemptions_coupon FOREIGN KEY (coupon_id) REFERENCES coupons (id),
+  CONSTRAINT fk_coupon_redemptions_order FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE CASCADE
+);
@@ -0,0 +1,23 @@
+-- Refundable security deposit per unit; collected with the order but kept
+-- out of rental revenue
+ALTER TABLE products
+  ADD COLUMN deposit_amount DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER duration_discounts;
+
+ALTER TABLE order_items
+  ADD COLUMN deposit_amount DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER pricing_tier;
+
+ALTER TABLE orders
+  ADD COLUMN deposit_status ENUM('none', 'held', 'refunded', 'partially_withheld', 'forfeited') NOT NULL DEFAULT 'none' AFTER deposit_total;
+
+CREATE TABLE deposit_settlements (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  outcome ENUM('refunded', 'partially_withheld', 'forfeited') NOT NULL,
+  refunded_amount DECIMAL(10, 2) NOT NULL,
+  withheld_amount DECIMAL(10, 2) NOT NULL,
+  reason VARCHAR(500) NULL,
+  settled_by INT NULL,
+  settled_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_deposit_settlements_order (order_id),
+  CONSTRAINT fk_deposit_settlements_order FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE CASCADE
+);
@@ -0,0 +1,31 @@
+-- Actual handover times per order item and the late fee charged on return
+ALTER TABLE order_items
+  ADD COLUMN picked_up_at DATETIME NULL,
+  ADD COLUMN returned_at DATETIME NULL,
+  ADD COLUMN late_fee DECIMAL(10, 2) NOT NULL DEFAULT 0;
+
+-- Per-product late fee policy; NULL falls back to config.lateFees
+ALTER TABLE products
+  ADD COLUMN late_fee_per_day DECIMAL(10, 2) NULL,
+  ADD COLUMN late_fee_grace_hours INT NULL,
+  ADD COLUMN late_fee_cap DECIMAL(10, 2) NULL;
+
+-- Charges added to an order after placement (late fees, ...)
+CREATE TABLE order_charges (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  order_item_id INT NULL,
+  charge_type VARCHAR(30) NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  description VARCHAR(255) NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_order_charges_order (order_id),
+  CONSTRAINT fk_order_charges_order FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE CASCADE,
+  CONSTRAINT fk_order_charges_item FOREIGN KEY (order_item_id) REFERENCES order_items (id) ON DELETE CASCADE
+);
+
+ALTER TABLE orders
+  ADD COLUMN charges_total DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER total_amount;
+
+CREATE INDEX idx_order_items_open_returns ON order_items (returned_at, end_date);
@@ -0,0 +1,16 @@
+-- Time-boxed sales. Each targets one product (sale_price or percent_off) or a
+-- whole category (percent_off only); the lowest running price wins.
+CREATE TABLE sales (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  product_id INT NULL,
+  category_id INT NULL,
+  sale_price DECIMAL(10, 2) NULL,
+  percent_off DECIMAL(5, 2) NULL,
+  starts_at DATETIME NOT NULL,
+  ends_at DATETIME NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_sales_window (starts_at, ends_at),
+  CONSTRAINT fk_sales_product FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE,
+  CONSTRAINT fk_sales_category FOREIGN KEY (category_id) REFERENCES categories (id) ON DELETE CASCADE
+);
@@ -0,0 +1,23 @@
+-- Bundles ("kits") are products made of other products. A bundle has its own
+-- price but no stock: availability comes from its components.
+ALTER TABLE products
+  ADD COLUMN product_type ENUM('single', 'bundle') NOT NULL DEFAULT 'single' AFTER description;
+
+CREATE TABLE bundle_components (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  bundle_id INT NOT NULL,
+  component_id INT NOT NULL,
+  quantity INT NOT NULL DEFAULT 1,
+  UNIQUE KEY uq_bundle_components (bundle_id, component_id),
+  KEY idx_bundle_components_component (component_id),
+  CONSTRAINT fk_bundle_components_bundle FOREIGN KEY (bundle_id) REFERENCES products (id) ON DELETE CASCADE,
+  CONSTRAINT fk_bundle_components_component FOREIGN KEY (component_id) REFERENCES products (id)
+);
+
+-- A booked bundle is stored as its own priced line plus one unpriced child
+-- line per component (pricing_tier 'bundle_component'), so component stock is
+-- held and usage can be attributed to each component.
+ALTER TABLE order_items
+  ADD COLUMN parent_item_id INT NULL AFTER order_id,
+  ADD KEY idx_order_items_parent (parent_item_id),
+  ADD CONSTRAINT fk_order_items_parent FOREIGN KEY (parent_item_id) REFERENCES order_items (id) ON DELETE CASCADE;
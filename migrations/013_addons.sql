@@ -0,0 +1,43 @@
+-- Optional extras (spare batteries, cases, damage waivers) offered on a
+-- product or on every product of a category. pricing_type: per_day (price x
+-- days x quantity), per_rental (price x quantity) or percent (of the line's
+-- rental subtotal).
+CREATE TABLE addons (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT NULL,
+  product_id INT NULL,
+  category_id INT NULL,
+  pricing_type ENUM('per_day', 'per_rental', 'percent') NOT NULL,
+  price DECIMAL(10, 2) NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_addons_product (product_id),
+  KEY idx_addons_category (category_id),
+  CONSTRAINT fk_addons_product FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE,
+  CONSTRAINT fk_addons_category FOREIGN KEY (category_id) REFERENCES categories (id) ON DELETE CASCADE
+);
+
+-- Add-ons picked for a cart line, as a JSON array of addon ids
+ALTER TABLE cart
+  ADD COLUMN addon_ids TEXT NULL AFTER price_snapshot;
+
+-- Add-ons sold on an order line, snapshotted at the price charged
+CREATE TABLE order_item_addons (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_item_id INT NOT NULL,
+  addon_id INT NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  pricing_type ENUM('per_day', 'per_rental', 'percent') NOT NULL,
+  price DECIMAL(10, 2) NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_order_item_addons_item (order_item_id),
+  KEY idx_order_item_addons_addon (addon_id),
+  CONSTRAINT fk_order_item_addons_item FOREIGN KEY (order_item_id) REFERENCES order_items (id) ON DELETE CASCADE,
+  CONSTRAINT fk_order_item_addons_addon FOREIGN KEY (addon_id) REFERENCES addons (id)
+);
+
+-- Part of orders.subtotal, kept separately for revenue reporting
+ALTER TABLE orders
+  ADD COLUMN addons_total DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER subtotal;
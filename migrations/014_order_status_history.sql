@@ -0,0 +1,22 @@
+-- Explicit order lifecycle; see ORDER_TRANSITIONS in utils/orderStatus.js
+ALTER TABLE orders
+  MODIFY COLUMN status ENUM('pending', 'approved', 'rejected', 'picked_up', 'returned', 'completed', 'cancelled') NOT NULL DEFAULT 'pending';
+
+-- Who moved an order between statuses, when, and why. actor_id is NULL for
+-- guests and system changes; actor_role records 'admin', 'client' or 'guest'.
+CREATE TABLE order_status_history (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  from_status VARCHAR(20) NULL,
+  to_status VARCHAR(20) NOT NULL,
+  actor_id INT NULL,
+  actor_role VARCHAR(20) NULL,
+  note TEXT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_order_status_history_order (order_id),
+  CONSTRAINT fk_order_status_history_order FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE CASCADE
+);
+
+-- Start the trail of existing orders at their current status
+INSERT INTO order_status_history (order_id, from_status, to_status, note, created_at)
+SELECT id, NULL, status, 'Status before history tracking', created_at FROM orders;
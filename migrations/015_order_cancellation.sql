@@ -0,0 +1,6 @@
+-- Cancellation outcome; the fee is also recorded in order_charges
+-- (charge_type 'cancellation_fee'). See config.cancellation for the policy.
+ALTER TABLE orders
+  ADD COLUMN cancellation_fee DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER charges_total,
+  ADD COLUMN cancellation_reason TEXT NULL AFTER cancellation_fee,
+  ADD COLUMN cancelled_at DATETIME NULL AFTER cancellation_reason;
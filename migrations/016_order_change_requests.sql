@@ -0,0 +1,31 @@
+-- Customer requests to extend or move an order item, priced when requested
+-- and re-priced when an admin approves them. Deltas are new minus booked.
+CREATE TABLE order_change_requests (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  order_item_id INT NOT NULL,
+  requested_by INT NULL,
+  original_start_date DATE NOT NULL,
+  original_end_date DATE NOT NULL,
+  requested_start_date DATE NOT NULL,
+  requested_end_date DATE NOT NULL,
+  rental_delta DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  addons_delta DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  tax_delta DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  price_delta DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  status ENUM('pending', 'approved', 'rejected') NOT NULL DEFAULT 'pending',
+  customer_note TEXT NULL,
+  admin_note TEXT NULL,
+  decided_by INT NULL,
+  decided_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_order_change_requests_order (order_id),
+  KEY idx_order_change_requests_status (status),
+  CONSTRAINT fk_order_change_requests_order FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE CASCADE,
+  CONSTRAINT fk_order_change_requests_item FOREIGN KEY (order_item_id) REFERENCES order_items (id) ON DELETE CASCADE
+);
+
+-- Dates an item was first booked for, set the first time a change is approved
+ALTER TABLE order_items
+  ADD COLUMN original_start_date DATE NULL AFTER end_date,
+  ADD COLUMN original_end_date DATE NULL AFTER original_start_date;
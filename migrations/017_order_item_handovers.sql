@@ -0,0 +1,21 @@
+-- Pickup and return handover records of an order item: the checklist run
+-- through with the customer, condition notes, accessories that came back and
+-- photo URLs (JSON arrays). One record per item and handover type; recording
+-- it again updates it.
+CREATE TABLE order_item_handovers (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  order_item_id INT NOT NULL,
+  handover_type ENUM('pickup', 'return') NOT NULL,
+  checklist TEXT NULL,
+  condition_notes TEXT NULL,
+  accessories_returned TEXT NULL,
+  photo_urls TEXT NULL,
+  recorded_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_order_item_handovers_item_type (order_item_id, handover_type),
+  KEY idx_order_item_handovers_order (order_id),
+  CONSTRAINT fk_order_item_handovers_order FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE CASCADE,
+  CONSTRAINT fk_order_item_handovers_item FOREIGN KEY (order_item_id) REFERENCES order_items (id) ON DELETE CASCADE
+);
@@ -0,0 +1,24 @@
+-- Invoice numbers, issued once per order from a single locked counter so they
+-- are sequential without gaps and never change once issued
+CREATE TABLE invoice_sequence (
+  id TINYINT PRIMARY KEY,
+  last_number INT NOT NULL DEFAULT 0
+);
+INSERT INTO invoice_sequence (id, last_number) VALUES (1, 0);
+
+CREATE TABLE invoices (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  sequence_number INT NOT NULL,
+  invoice_number VARCHAR(30) NOT NULL,
+  issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_invoices_order (order_id),
+  UNIQUE KEY uq_invoices_sequence (sequence_number),
+  UNIQUE KEY uq_invoices_number (invoice_number),
+  CONSTRAINT fk_invoices_order FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE RESTRICT
+);
+
+-- Whether the customer has paid the order total, shown on the invoice
+ALTER TABLE orders
+  ADD COLUMN payment_status ENUM('unpaid', 'paid', 'refunded') NOT NULL DEFAULT 'unpaid' AFTER deposit_status,
+  ADD COLUMN paid_at DATETIME NULL AFTER payment_status;
@@ -0,0 +1,6 @@
+-- Indexes behind the paginated admin order listings (utils/orderListing.js)
+CREATE INDEX idx_orders_created_at ON orders (created_at);
+CREATE INDEX idx_orders_status_created_at ON orders (status, created_at);
+CREATE INDEX idx_orders_user_created_at ON orders (user_id, created_at);
+CREATE INDEX idx_orders_total_amount ON orders (total_amount);
+CREATE INDEX idx_order_items_order_dates ON order_items (order_id, start_date, end_date);
@@ -0,0 +1,10 @@
+-- Product name and image as they were when the order was placed, so order
+-- history survives products being renamed, re-imaged or deleted
+ALTER TABLE order_items
+  ADD COLUMN product_name VARCHAR(255) NULL AFTER product_id,
+  ADD COLUMN product_image_url TEXT NULL AFTER product_name;
+
+UPDATE order_items oi
+  JOIN products p ON oi.product_id = p.id
+  SET oi.product_name = p.name,
+      oi.product_image_url = p.image_url;
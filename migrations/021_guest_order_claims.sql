@@ -0,0 +1,29 @@
+-- One-time codes emailed to a registered user to prove they own the guest
+-- orders placed with their email address. Only a hash of the code is stored.
+CREATE TABLE order_claim_codes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  code_hash CHAR(64) NOT NULL,
+  attempts INT NOT NULL DEFAULT 0,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_order_claim_codes_user (user_id, created_at)
+);
+
+-- Audit of guest orders moved into a registered account
+CREATE TABLE order_claims (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  user_id INT NOT NULL,
+  method ENUM('secret_key', 'email_code') NOT NULL,
+  previous_guest_session_id VARCHAR(255) NULL,
+  order_email VARCHAR(255) NULL,
+  ip_address VARCHAR(45) NULL,
+  claimed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_order_claims_user (user_id),
+  CONSTRAINT fk_order_claims_order FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_orders_guest_email ON orders (email, user_id);
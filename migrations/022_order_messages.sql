@@ -0,0 +1,16 @@
+-- Conversation between the customer and staff on an order. read_at is when
+-- the other side read the message; attachment_urls is a JSON array of
+-- Cloudinary URLs.
+CREATE TABLE order_messages (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  sender_role ENUM('customer', 'staff') NOT NULL,
+  sender_user_id INT NULL,
+  body TEXT NOT NULL,
+  attachment_urls TEXT NULL,
+  read_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_order_messages_order (order_id, created_at),
+  KEY idx_order_messages_unread (sender_role, read_at),
+  CONSTRAINT fk_order_messages_order FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE CASCADE
+);
@@ -0,0 +1,43 @@
+-- Delivery zones. A 'postcodes' zone matches postcode prefixes (JSON array,
+-- longest prefix wins); a 'distance' zone is a band of straight-line distance
+-- from the depot (config.delivery.depot), [min_distance_km, max_distance_km).
+CREATE TABLE delivery_zones (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  zone_type ENUM('postcodes', 'distance') NOT NULL,
+  postcodes TEXT NULL,
+  min_distance_km DECIMAL(7, 2) NULL,
+  max_distance_km DECIMAL(7, 2) NULL,
+  fee DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Bookable windows for delivering an order on its first rental day and
+-- collecting it back on its last, each with a capacity in orders
+CREATE TABLE delivery_slots (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  slot_type ENUM('delivery', 'collection') NOT NULL,
+  slot_date DATE NOT NULL,
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  capacity INT NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_delivery_slots_date (slot_date, slot_type)
+);
+
+-- How each order is fulfilled. 'pickup' is collect in store; 'delivery' goes
+-- to orders.address with the zone's fee and the booked slots.
+ALTER TABLE orders
+  ADD COLUMN fulfillment_method ENUM('pickup', 'delivery') NOT NULL DEFAULT 'pickup' AFTER address,
+  ADD COLUMN delivery_postcode VARCHAR(20) NULL AFTER fulfillment_method,
+  ADD COLUMN delivery_latitude DECIMAL(9, 6) NULL AFTER delivery_postcode,
+  ADD COLUMN delivery_longitude DECIMAL(9, 6) NULL AFTER delivery_latitude,
+  ADD COLUMN delivery_distance_km DECIMAL(7, 2) NULL AFTER delivery_longitude,
+  ADD COLUMN delivery_zone_id INT NULL AFTER delivery_distance_km,
+  ADD COLUMN delivery_slot_id INT NULL AFTER delivery_zone_id,
+  ADD COLUMN collection_slot_id INT NULL AFTER delivery_slot_id,
+  ADD COLUMN delivery_fee DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER addons_total,
+  ADD KEY idx_orders_delivery_slot (delivery_slot_id),
+  ADD KEY idx_orders_collection_slot (collection_slot_id);
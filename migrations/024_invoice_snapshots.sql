@@ -0,0 +1,5 @@
+-- What an invoice bills, frozen as JSON when it is issued so the same number
+-- always shows the same lines and totals, whatever later happens to the order.
+-- Invoices issued before this get their snapshot on the next download.
+ALTER TABLE invoices
+  ADD COLUMN snapshot LONGTEXT NULL AFTER invoice_number;
@@ -0,0 +1,7 @@
+-- Serialized products book against their in-stock and out units; bring
+-- stock_quantity in line for products whose units and stock drifted apart
+UPDATE products p
+SET p.stock_quantity = (
+  SELECT COUNT(*) FROM inventory_units iu WHERE iu.product_id = p.id AND iu.status IN ('in_stock', 'out')
+)
+WHERE EXISTS (SELECT 1 FROM inventory_units iu WHERE iu.product_id = p.id);
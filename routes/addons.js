@@ -0,0 +1,148 @@
+const express = require('express');
+const { query } = require('../utils/db');
+const { authenticate, restrictTo } = require('../utils/auth');
+const { ADDON_PRICING_TYPES } = require('../utils/addons');
+const router = express.Router();
+
+const isEmpty = value => value === undefined || value === null || value === '';
+
+// Validate admin input and map it to add-on columns. With `partial` only the
+// fields present are checked, for updates; `existing` is the stored row so
+// cross-field rules see the merged result. Returns { fields } or { error }.
+const buildAddonFields = (body, partial = false, existing = {}) => {
+  const fields = {};
+
+  if (!partial || body.name !== undefined) {
+    if (isEmpty(body.name)) {
+      return { error: 'name is required' };
+    }
+    fields.name = body.name;
+  }
+  if (body.description !== undefined) fields.description = body.description || null;
+  for (const field of ['product_id', 'category_id']) {
+    if (body[field] !== undefined) {
+      fields[field] = isEmpty(body[field]) ? null : Number(body[field]);
+      if (fields[field] !== null && (!Number.isInteger(fields[field]) || fields[field] < 1)) {
+        return { error: `${field} must be a positive integer` };
+      }
+    }
+  }
+  if (!partial || body.pricing_type !== undefined) {
+    if (!ADDON_PRICING_TYPES.includes(body.pricing_type)) {
+      return { error: `pricing_type must be one of ${ADDON_PRICING_TYPES.join(', ')}` };
+    }
+    fields.pricing_type = body.pricing_type;
+  }
+  if (!partial || body.price !== undefined) {
+    fields.price = parseFloat(body.price);
+    if (isNaN(fields.price) || fields.price < 0) {
+      return { error: 'price must be a non-negative number' };
+    }
+  }
+  if (body.is_active !== undefined) fields.is_active = !!body.is_active;
+
+  const addon = { ...existing, ...fields };
+  if (!addon.product_id === !addon.category_id) {
+    return { error: 'An add-on applies to exactly one of product_id or category_id' };
+  }
+  if (addon.pricing_type === 'percent' && parseFloat(addon.price) > 100) {
+    return { error: 'price must be at most 100 for percent add-ons' };
+  }
+
+  return { fields };
+};
+
+// Get all add-ons (admin only)
+router.get('/', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    const addons = await query(
+      `SELECT a.*, p.name AS product_name, c.name AS category_name
+       FROM addons a
+       LEFT JOIN products p ON a.product_id = p.id
+       LEFT JOIN categories c ON a.category_id = c.id
+       ORDER BY a.name`
+    );
+    console.log('Fetched add-ons:', addons.length);
+    res.json(addons);
+  } catch (error) {
+    console.error('Add-ons fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch add-ons', details: error.message });
+  }
+});
+
+// Add add-on (admin only)
+router.post('/', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    console.log('POST /api/addons - Request body:', req.body);
+    const { fields, error } = buildAddonFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const target = fields.product_id
+      ? await query('SELECT id FROM products WHERE id = ? AND is_deleted = FALSE', [fields.product_id])
+      : await query('SELECT id FROM categories WHERE id = ?', [fields.category_id]);
+    if (target.length === 0) {
+      return res.status(404).json({ error: fields.product_id ? 'Product not found' : 'Category not found' });
+    }
+
+    const columns = Object.keys(fields);
+    const result = await query(
+      `INSERT INTO addons (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      Object.values(fields)
+    );
+    console.log('Insert add-on result:', result);
+    res.status(201).json({ message: 'Add-on added', id: result.insertId });
+  } catch (error) {
+    console.error('Add-on add error:', error);
+    res.status(500).json({ error: 'Failed to add add-on', details: error.message });
+  }
+});
+
+// Update add-on (admin only). Orders keep the price they were sold at.
+router.put('/:id', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    console.log('PUT /api/addons/:id - Request body:', { id: req.params.id, ...req.body });
+    const [existing] = await query('SELECT * FROM addons WHERE id = ?', [req.params.id]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Add-on not found' });
+    }
+    const { fields, error } = buildAddonFields(req.body, true, existing);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ error: 'No valid fields provided for update' });
+    }
+
+    const setClause = Object.keys(fields)
+      .map(field => `${field} = ?`)
+      .join(', ');
+    const result = await query(`UPDATE addons SET ${setClause} WHERE id = ?`, [...Object.values(fields), req.params.id]);
+    console.log('Update add-on result:', result);
+    res.json({ message: 'Add-on updated' });
+  } catch (error) {
+    console.error('Add-on update error:', error);
+    res.status(500).json({ error: 'Failed to update add-on', details: error.message });
+  }
+});
+
+// Delete add-on (admin only). Add-ons already sold are deactivated instead so order history keeps them.
+router.delete('/:id', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    const [sold] = await query('SELECT id FROM order_item_addons WHERE addon_id = ? LIMIT 1', [req.params.id]);
+    const result = sold
+      ? await query('UPDATE addons SET is_active = FALSE WHERE id = ?', [req.params.id])
+      : await query('DELETE FROM addons WHERE id = ?', [req.params.id]);
+    if (!result || result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Add-on not found' });
+    }
+    console.log('Delete add-on result:', result);
+    res.json({ message: sold ? 'Add-on deactivated' : 'Add-on deleted' });
+  } catch (error) {
+    console.error('Add-on delete error:', error);
+    res.status(500).json({ error: 'Failed to delete add-on', details: error.message });
+  }
+});
+
+module.exports = router;
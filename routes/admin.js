@@ -116,13 +116,31 @@ router.get('/stats', authenticate, restrictTo('admin'), async (req, res) => {
       FROM orders 
       WHERE status = 'cancelled' AND ${currentPeriodSQL}
     `);
+
+    const [currentPickedUp] = await query(`
+      SELECT COUNT(*) as count 
+      FROM orders 
+      WHERE status = 'picked_up' AND ${currentPeriodSQL}
+    `);
+
+    const [currentReturned] = await query(`
+      SELECT COUNT(*) as count 
+      FROM orders 
+      WHERE status = 'returned' AND ${currentPeriodSQL}
+    `);
+
+    const [currentRejected] = await query(`
+      SELECT COUNT(*) as count 
+      FROM orders 
+      WHERE status = 'rejected' AND ${currentPeriodSQL}
+    `);
     
     // Revenue for current period
     const [currentRevenueRow] = await query(`
       SELECT COALESCE(SUM(oi.total_price), 0) as revenue 
       FROM order_items oi 
       JOIN orders o ON oi.order_id = o.id 
-      WHERE o.status IN ('approved', 'completed') AND ${currentPeriodForRevenue}
+      WHERE o.status IN ('approved', 'picked_up', 'returned', 'completed') AND ${currentPeriodForRevenue}
     `);
     
     // Revenue for previous period
@@ -130,7 +148,41 @@ router.get('/stats', authenticate, restrictTo('admin'), async (req, res) => {
       SELECT COALESCE(SUM(oi.total_price), 0) as revenue 
       FROM order_items oi 
       JOIN orders o ON oi.order_id = o.id 
-      WHERE o.status IN ('approved', 'completed') AND ${previousPeriodForRevenue}
+      WHERE o.status IN ('approved', 'picked_up', 'returned', 'completed') AND ${previousPeriodForRevenue}
+    `);
+
+    // Coupon discounts granted on revenue-counting orders in the current period
+    const [currentDiscountRow] = await query(`
+      SELECT COALESCE(SUM(discount_total), 0) as discounts 
+      FROM orders 
+      WHERE status IN ('approved', 'picked_up', 'returned', 'completed') AND ${currentPeriodSQL}
+    `);
+
+    // Add-on revenue (extras and protection plans) is reported apart from rentals
+    const [currentAddonRow] = await query(`
+      SELECT COALESCE(SUM(addons_total), 0) as revenue 
+      FROM orders 
+      WHERE status IN ('approved', 'picked_up', 'returned', 'completed') AND ${currentPeriodSQL}
+    `);
+
+    // Fees kept on orders cancelled in this period; their rentals are not revenue
+    const [currentCancellationFeeRow] = await query(`
+      SELECT COALESCE(SUM(cancellation_fee), 0) as fees 
+      FROM orders 
+      WHERE status = 'cancelled' AND ${currentPeriodSQL.replace(/created_at/g, 'cancelled_at')}
+    `);
+
+    // Deposits are tracked apart from rental revenue: currently held, and withheld on settlements this period
+    const [depositsHeldRow] = await query(`
+      SELECT COALESCE(SUM(deposit_total), 0) as deposits 
+      FROM orders 
+      WHERE deposit_status = 'held' AND status NOT IN ('cancelled', 'rejected')
+    `);
+
+    const [depositsWithheldRow] = await query(`
+      SELECT COALESCE(SUM(withheld_amount), 0) as deposits 
+      FROM deposit_settlements 
+      WHERE ${currentPeriodSQL.replace(/created_at/g, 'settled_at')}
     `);
 
     // === LIFETIME TOTALS (for reference) ===
@@ -143,7 +195,25 @@ router.get('/stats', authenticate, restrictTo('admin'), async (req, res) => {
       SELECT COALESCE(SUM(oi.total_price), 0) as revenue 
       FROM order_items oi 
       JOIN orders o ON oi.order_id = o.id 
-      WHERE o.status IN ('approved', 'completed')
+      WHERE o.status IN ('approved', 'picked_up', 'returned', 'completed')
+    `);
+
+    const [lifetimeAddonRow] = await query(`
+      SELECT COALESCE(SUM(addons_total), 0) as revenue 
+      FROM orders 
+      WHERE status IN ('approved', 'picked_up', 'returned', 'completed')
+    `);
+
+    const [lifetimeCancellationFeeRow] = await query(`
+      SELECT COALESCE(SUM(cancellation_fee), 0) as fees 
+      FROM orders 
+      WHERE status = 'cancelled'
+    `);
+
+    const [lifetimeDiscountRow] = await query(`
+      SELECT COALESCE(SUM(discount_total), 0) as discounts 
+      FROM orders 
+      WHERE status IN ('approved', 'picked_up', 'returned', 'completed')
     `);
 
     // Calculate percentage changes
@@ -185,7 +255,18 @@ router.get('/stats', authenticate, restrictTo('admin'), async (req, res) => {
       completedOrders: currentCompleted?.count || 0,
       approvedOrders: currentApproved?.count || 0,
       cancelledOrders: currentCancelled?.count || 0,
+      pickedUpOrders: currentPickedUp?.count || 0,
+      returnedOrders: currentReturned?.count || 0,
+      rejectedOrders: currentRejected?.count || 0,
       totalRevenue: parseFloat(currentRevenueRow?.revenue || 0),
+      totalDiscounts: parseFloat(currentDiscountRow?.discounts || 0),
+      netRevenue: parseFloat(currentRevenueRow?.revenue || 0) - parseFloat(currentDiscountRow?.discounts || 0),
+      addonRevenue: parseFloat(currentAddonRow?.revenue || 0),
+      cancellationFees: parseFloat(currentCancellationFeeRow?.fees || 0),
+      
+      // Security deposits (never included in revenue)
+      depositsHeld: parseFloat(depositsHeldRow?.deposits || 0),
+      depositsWithheld: parseFloat(depositsWithheldRow?.deposits || 0),
       
       // Previous period (for comparison)
       previousPeriodRevenue: parseFloat(prevRevenueRow?.revenue || 0),
@@ -201,6 +282,9 @@ router.get('/stats', authenticate, restrictTo('admin'), async (req, res) => {
       lifetimeProducts: lifetimeProducts?.count || 0,
       lifetimeOrders: lifetimeOrders?.count || 0,
       lifetimeRevenue: parseFloat(lifetimeRevenueRow?.revenue || 0),
+      lifetimeDiscounts: parseFloat(lifetimeDiscountRow?.discounts || 0),
+      lifetimeAddonRevenue: parseFloat(lifetimeAddonRow?.revenue || 0),
+      lifetimeCancellationFees: parseFloat(lifetimeCancellationFeeRow?.fees || 0),
       totalCategories: totalCategories?.count || 0,
       
       period
@@ -255,10 +339,12 @@ router.get('/sales-over-time', authenticate, restrictTo('admin'), async (req, re
         ${selectExpr} as period,
         COUNT(DISTINCT o.id) as orderCount,
         COALESCE(SUM(oi.total_price), 0) as sales,
-        COALESCE(AVG(oi.total_price), 0) as avgOrderValue
+        COALESCE(AVG(oi.total_price), 0) as avgOrderValue,
+        COALESCE(SUM(oia.amount), 0) as addonSales
       FROM order_items oi
       JOIN orders o ON oi.order_id = o.id
-      WHERE o.status IN ('approved', 'completed') AND ${timeFilter}
+      LEFT JOIN (SELECT order_item_id, SUM(amount) AS amount FROM order_item_addons GROUP BY order_item_id) oia ON oia.order_item_id = oi.id
+      WHERE o.status IN ('approved', 'picked_up', 'returned', 'completed') AND oi.parent_item_id IS NULL AND ${timeFilter}
       GROUP BY ${groupByExpr}
       ORDER BY ${groupByExpr} ASC
     `);
@@ -269,7 +355,8 @@ router.get('/sales-over-time', authenticate, restrictTo('admin'), async (req, re
       period: String(item.period || ''),
       orderCount: parseInt(item.orderCount) || 0,
       sales: parseFloat(item.sales) || 0,
-      avgOrderValue: parseFloat(item.avgOrderValue) || 0
+      avgOrderValue: parseFloat(item.avgOrderValue) || 0,
+      addonSales: parseFloat(item.addonSales) || 0
     }));
 
     res.json(formattedSalesData);
@@ -376,7 +463,10 @@ router.get('/order-growth', authenticate, restrictTo('admin'), async (req, res)
         SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pendingOrders,
         SUM(CASE WHEN status = 'approved' THEN 1 ELSE 0 END) as approvedOrders,
         SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completedOrders,
-        SUM(CASE WHEN status = 'cancelled' THEN 1 ELSE 0 END) as cancelledOrders
+        SUM(CASE WHEN status = 'cancelled' THEN 1 ELSE 0 END) as cancelledOrders,
+        SUM(CASE WHEN status = 'picked_up' THEN 1 ELSE 0 END) as pickedUpOrders,
+        SUM(CASE WHEN status = 'returned' THEN 1 ELSE 0 END) as returnedOrders,
+        SUM(CASE WHEN status = 'rejected' THEN 1 ELSE 0 END) as rejectedOrders
       FROM orders
       WHERE ${timeFilter}
       GROUP BY ${groupByExpr}
@@ -391,7 +481,10 @@ router.get('/order-growth', authenticate, restrictTo('admin'), async (req, res)
       pendingOrders: parseInt(item.pendingOrders) || 0,
       approvedOrders: parseInt(item.approvedOrders) || 0,
       completedOrders: parseInt(item.completedOrders) || 0,
-      cancelledOrders: parseInt(item.cancelledOrders) || 0
+      cancelledOrders: parseInt(item.cancelledOrders) || 0,
+      pickedUpOrders: parseInt(item.pickedUpOrders) || 0,
+      returnedOrders: parseInt(item.returnedOrders) || 0,
+      rejectedOrders: parseInt(item.rejectedOrders) || 0
     }));
 
     res.json(formattedOrderGrowthData);
@@ -426,23 +519,27 @@ router.get('/popular-products', authenticate, restrictTo('admin'), async (req, r
 
     console.log(`Popular products query - Period: ${period}, Filter: ${timeFilter}`);
 
+    // Units rented inside bundles are stored as unpriced component items: they
+    // count towards the component's usage while the sale stays with the bundle
     const popularProducts = await query(`
       SELECT 
         p.id, 
         p.name,
+        p.product_type,
         p.price_per_day,
         COUNT(DISTINCT o.id) as orderCount,
         SUM(oi.quantity) as totalQuantity, 
+        COALESCE(SUM(CASE WHEN oi.parent_item_id IS NOT NULL THEN oi.quantity END), 0) as bundleQuantity,
         COALESCE(SUM(oi.total_price), 0) as totalSales,
-        COALESCE(AVG(oi.total_price), 0) as avgSaleValue
+        COALESCE(AVG(CASE WHEN oi.parent_item_id IS NULL THEN oi.total_price END), 0) as avgSaleValue
       FROM products p
       JOIN order_items oi ON p.id = oi.product_id
       JOIN orders o ON oi.order_id = o.id
-      WHERE o.status IN ('approved', 'completed') 
+      WHERE o.status IN ('approved', 'picked_up', 'returned', 'completed') 
         AND ${timeFilter} 
         AND p.is_deleted = 0
-      GROUP BY p.id, p.name, p.price_per_day
-      ORDER BY totalSales DESC
+      GROUP BY p.id, p.name, p.product_type, p.price_per_day
+      ORDER BY totalSales DESC, totalQuantity DESC
       LIMIT 10
     `);
 
@@ -451,9 +548,11 @@ router.get('/popular-products', authenticate, restrictTo('admin'), async (req, r
     const formattedPopularProducts = popularProducts.map(item => ({
       id: item.id,
       name: item.name,
+      productType: item.product_type,
       pricePerDay: parseFloat(item.price_per_day) || 0,
       orderCount: parseInt(item.orderCount) || 0,
       totalQuantity: parseInt(item.totalQuantity) || 0,
+      bundleQuantity: parseInt(item.bundleQuantity) || 0,
       totalSales: parseFloat(item.totalSales) || 0,
       avgSaleValue: parseFloat(item.avgSaleValue) || 0
     }));
@@ -472,17 +571,27 @@ router.get('/revenue-breakdown', authenticate, restrictTo('admin'), async (req,
       SELECT 
         o.status,
         COUNT(DISTINCT o.id) as orderCount,
-        COALESCE(SUM(oi.total_price), 0) as totalRevenue
+        COALESCE(SUM(oi.total_price), 0) as totalRevenue,
+        (SELECT COALESCE(SUM(o2.discount_total), 0) FROM orders o2 WHERE o2.status = o.status) as totalDiscounts,
+        (SELECT COALESCE(SUM(o2.addons_total), 0) FROM orders o2 WHERE o2.status = o.status) as addonRevenue,
+        (SELECT COALESCE(SUM(o2.cancellation_fee), 0) FROM orders o2 WHERE o2.status = o.status) as cancellationFees
       FROM orders o
       LEFT JOIN order_items oi ON o.id = oi.order_id
       GROUP BY o.status
       ORDER BY totalRevenue DESC
     `);
 
+    // Cancelled and rejected orders earn nothing but their cancellation fees
     const formattedBreakdown = revenueBreakdown.map(item => ({
       status: item.status,
       orderCount: parseInt(item.orderCount) || 0,
-      totalRevenue: parseFloat(item.totalRevenue) || 0
+      totalRevenue: parseFloat(item.totalRevenue) || 0,
+      totalDiscounts: parseFloat(item.totalDiscounts) || 0,
+      netRevenue: ['cancelled', 'rejected'].includes(item.status)
+        ? parseFloat(item.cancellationFees) || 0
+        : (parseFloat(item.totalRevenue) || 0) - (parseFloat(item.totalDiscounts) || 0),
+      addonRevenue: parseFloat(item.addonRevenue) || 0,
+      cancellationFees: parseFloat(item.cancellationFees) || 0
     }));
 
     res.json(formattedBreakdown);
@@ -492,6 +601,103 @@ router.get('/revenue-breakdown', authenticate, restrictTo('admin'), async (req,
   }
 });
 
+// Extension and date-change requests across orders, pending first (admin only)
+router.get('/change-requests', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const params = [];
+    let sql = `
+      SELECT r.*, o.name AS customer_name, o.email, p.name AS product_name, oi.quantity
+      FROM order_change_requests r
+      JOIN orders o ON r.order_id = o.id
+      JOIN order_items oi ON r.order_item_id = oi.id
+      LEFT JOIN products p ON oi.product_id = p.id`;
+    if (status) {
+      sql += ' WHERE r.status = ?';
+      params.push(status);
+    }
+    sql += " ORDER BY r.status = 'pending' DESC, r.created_at DESC";
+    const requests = await query(sql, params);
+    res.json(requests);
+  } catch (error) {
+    console.error('Change requests error:', error.message, error.stack);
+    res.status(500).json({ error: 'Failed to fetch change requests', details: error.message });
+  }
+});
+
+// Orders whose latest message is from the customer, i.e. waiting for a staff
+// reply, oldest first (admin only). `?all=true` lists every order with messages.
+router.get('/messages/inbox', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    const onlyUnanswered = req.query.all !== 'true';
+    const threads = await query(`
+      SELECT 
+        o.id as orderId,
+        o.name as customerName,
+        o.email,
+        o.status,
+        COUNT(m.id) as messageCount,
+        SUM(m.sender_role = 'customer' AND m.read_at IS NULL) as unreadCount,
+        MAX(m.created_at) as lastMessageAt,
+        MAX(CASE WHEN m.sender_role = 'customer' THEN m.created_at END) as lastCustomerMessageAt,
+        MAX(CASE WHEN m.sender_role = 'staff' THEN m.created_at END) as lastStaffReplyAt
+      FROM order_messages m
+      JOIN orders o ON m.order_id = o.id
+      GROUP BY o.id, o.name, o.email, o.status
+      ${onlyUnanswered ? "HAVING lastCustomerMessageAt IS NOT NULL AND (lastStaffReplyAt IS NULL OR lastStaffReplyAt < lastCustomerMessageAt)" : ''}
+      ORDER BY ${onlyUnanswered ? 'lastCustomerMessageAt ASC' : 'lastMessageAt DESC'}
+    `);
+    const latest = threads.length > 0
+      ? await query(
+          `SELECT m.order_id, m.sender_role, m.body, m.created_at
+           FROM order_messages m
+           JOIN (SELECT order_id, MAX(id) AS id FROM order_messages GROUP BY order_id) last ON m.id = last.id
+           WHERE m.order_id IN (${threads.map(() => '?').join(', ')})`,
+          threads.map(thread => thread.orderId)
+        )
+      : [];
+    res.json(threads.map(thread => ({
+      ...thread,
+      unreadCount: parseInt(thread.unreadCount) || 0,
+      lastMessage: latest.find(message => message.order_id === thread.orderId) || null,
+    })));
+  } catch (error) {
+    console.error('Message inbox error:', error.message, error.stack);
+    res.status(500).json({ error: 'Failed to fetch message inbox', details: error.message });
+  }
+});
+
+// Security deposit summary, kept separate from rental revenue
+router.get('/deposits', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    const depositsByStatus = await query(`
+      SELECT 
+        o.deposit_status as depositStatus,
+        COUNT(o.id) as orderCount,
+        COALESCE(SUM(o.deposit_total), 0) as depositTotal,
+        COALESCE(SUM(ds.refunded_amount), 0) as refundedTotal,
+        COALESCE(SUM(ds.withheld_amount), 0) as withheldTotal
+      FROM orders o
+      LEFT JOIN deposit_settlements ds ON ds.order_id = o.id
+      WHERE o.deposit_total > 0
+      GROUP BY o.deposit_status
+    `);
+
+    const formattedDeposits = depositsByStatus.map(item => ({
+      depositStatus: item.depositStatus,
+      orderCount: parseInt(item.orderCount) || 0,
+      depositTotal: parseFloat(item.depositTotal) || 0,
+      refundedTotal: parseFloat(item.refundedTotal) || 0,
+      withheldTotal: parseFloat(item.withheldTotal) || 0
+    }));
+
+    res.json(formattedDeposits);
+  } catch (error) {
+    console.error('Deposit summary error:', error.message, error.stack);
+    res.status(500).json({ error: 'Failed to fetch deposit summary', details: error.message });
+  }
+});
+
 // Category performance analytics
 router.get('/category-performance', authenticate, restrictTo('admin'), async (req, res) => {
   try {
@@ -527,7 +733,7 @@ router.get('/category-performance', authenticate, restrictTo('admin'), async (re
       LEFT JOIN categories c ON p.category_id = c.id
       JOIN order_items oi ON p.id = oi.product_id
       JOIN orders o ON oi.order_id = o.id
-      WHERE o.status IN ('approved', 'completed') 
+      WHERE o.status IN ('approved', 'picked_up', 'returned', 'completed') 
         AND ${timeFilter} 
         AND p.is_deleted = 0
       GROUP BY c.id, c.name
@@ -2,13 +2,32 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const { query } = require('../utils/db');
+const { query, transaction } = require('../utils/db');
 const { config } = require('../config');
+const { claimGuestOrders } = require('../utils/orderClaims');
+const { mergeGuestCart } = require('../utils/cartMerge');
 const router = express.Router();
 
+// Link the guest order whose `secretKey` was given, if it was placed with the
+// account's email. Other guest orders are claimed through POST /api/orders/claim
+// with an emailed code; emails are unverified here, so nothing about them is
+// revealed. Never fails the auth request.
+const linkGuestOrders = async (user, secretKey, ip) => {
+  if (!secretKey) {
+    return { claimedOrderIds: [] };
+  }
+  try {
+    const claim = await transaction(txQuery => claimGuestOrders({ user, method: 'secret_key', secretKey, ipAddress: ip }, txQuery));
+    return { claimedOrderIds: claim.orderIds };
+  } catch (error) {
+    console.error('Guest order linking error:', error);
+    return { claimedOrderIds: [], error: error.message };
+  }
+};
+
 router.post('/register', async (req, res) => {
   try {
-    const { username, email, password, address, phone } = req.body;
+    const { username, email, password, address, phone, secretKey } = req.body;
 
     // Validate required fields
     if (!username || !email || !password || !address || !phone) {
@@ -27,11 +46,12 @@ router.post('/register', async (req, res) => {
     }
 
     const hashedPassword = await bcrypt.hash(password, 10);
-    await query(
+    const result = await query(
       'INSERT INTO users (username, email, password, role, address, phone) VALUES (?, ?, ?, ?, ?, ?)',
       [username, email, hashedPassword, 'client', address, phone]
     );
-    res.status(201).json({ message: 'User registered' });
+    const guestOrders = await linkGuestOrders({ id: result.insertId, email }, secretKey, req.ip);
+    res.status(201).json({ message: 'User registered', guestOrders });
   } catch (error) {
     console.error('Registration error:', error);
     res.status(400).json({ error: 'Registration failed' });
@@ -40,7 +60,7 @@ router.post('/register', async (req, res) => {
 
 router.post('/login', async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, secretKey } = req.body;
     const [user] = await query('SELECT * FROM users WHERE email = ?', [email]);
     if (!user || !(await bcrypt.compare(password, user.password))) {
       return res.status(401).json({ error: 'Invalid credentials' });
@@ -48,7 +68,20 @@ router.post('/login', async (req, res) => {
     const token = jwt.sign({ id: user.id, role: user.role }, config.jwt.secret, {
       expiresIn: config.jwt.expiresIn,
     });
-    res.json({ token, user: { id: user.id, username: user.username, email, role: user.role } });
+    const guestOrders = await linkGuestOrders(user, secretKey, req.ip);
+
+    // Bring along what the shopper put in their cart as a guest; a failed
+    // merge leaves the guest cart as it was and does not block the login
+    let cartMerge = [];
+    const guestSessionId = req.body.guest_session_id || req.body.guestSessionId || req.cookies?.guestSessionId;
+    if (guestSessionId) {
+      try {
+        cartMerge = await transaction(txQuery => mergeGuestCart(user.id, guestSessionId, txQuery));
+      } catch (mergeError) {
+        console.error('Guest cart merge error:', mergeError);
+      }
+    }
+    res.json({ token, user: { id: user.id, username: user.username, email, role: user.role }, guestOrders, cartMerge });
   } catch (error) {
     console.error('Login error:', error);
     res.status(400).json({ error: 'Login failed' });
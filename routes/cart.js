@@ -1,6 +1,13 @@
 const express = require('express');
-const { query } = require('../utils/db');
+const { query, transaction } = require('../utils/db');
 const { authenticate, restrictTo } = require('../utils/auth');
+const { config } = require('../config');
+const { checkAvailability, unavailableError } = require('../utils/availability');
+const { effectiveDailyRate, priceRental } = require('../utils/pricing');
+const { withEffectivePrices } = require('../utils/sales');
+const { lockProducts } = require('../utils/bundles');
+const { resolveAddons, priceAddons } = require('../utils/addons');
+const { parseIdList } = require('../utils/coupons');
 const rateLimit = require('express-rate-limit');
 const router = express.Router();
 
@@ -17,14 +24,22 @@ const cartLimiter = rateLimit({
 const cache = new Map();
 const CACHE_TTL = 5 * 1000; // 5 seconds
 
+// Push back the expiry of a shopper's still-active holds on any cart activity
+const extendHolds = async (userId, guestSessionId) => {
+  const queryStr = userId
+    ? 'UPDATE cart SET hold_expires_at = DATE_ADD(NOW(), INTERVAL ? MINUTE) WHERE user_id = ? AND hold_expires_at > NOW()'
+    : 'UPDATE cart SET hold_expires_at = DATE_ADD(NOW(), INTERVAL ? MINUTE) WHERE guest_session_id = ? AND hold_expires_at > NOW()';
+  await query(queryStr, [config.cart.holdMinutes, userId || guestSessionId]);
+};
+
 // Add to cart
 router.post('/', authenticate, cartLimiter, async (req, res) => {
   try {
-    const { product_id, start_date, end_date, quantity } = req.body;
+    const { product_id, start_date, end_date, quantity, hold = false, addon_ids = [] } = req.body;
     const userId = req.user ? req.user.id : null;
     const guestSessionId = req.guestSessionId;
 
-    console.log('POST /api/cart:', { userId, guestSessionId, product_id, start_date, end_date, quantity });
+    console.log('POST /api/cart:', { userId, guestSessionId, product_id, start_date, end_date, quantity, hold, addon_ids });
 
     if (!product_id || !start_date || !end_date || !quantity) {
       return res.status(400).json({ error: 'Missing required fields' });
@@ -41,30 +56,60 @@ router.post('/', authenticate, cartLimiter, async (req, res) => {
     if (!Number.isInteger(quantity) || quantity < 1) {
       return res.status(400).json({ error: 'Quantity must be a positive integer' });
     }
-
-    const [product] = await query(
-      'SELECT price_per_day, sale_price FROM products WHERE id = ? AND available = TRUE',
-      [product_id]
-    );
-    console.log('Product query result:', product);
-    if (!product) {
-      return res.status(404).json({ error: 'Product not found or unavailable' });
+    if (!Array.isArray(addon_ids)) {
+      return res.status(400).json({ error: 'addon_ids must be an array' });
+    }
+    if (typeof hold !== 'boolean') {
+      return res.status(400).json({ error: 'hold must be true or false' });
     }
-    const effectivePrice = product.sale_price !== null ? product.sale_price : product.price_per_day;
 
-    const result = await query(
-      'INSERT INTO cart (user_id, guest_session_id, product_id, start_date, end_date, quantity, price_snapshot) VALUES (?, ?, ?, ?, ?, ?, ?)',
-      [userId, guestSessionId, product_id, start_date, end_date, quantity, effectivePrice]
-    );
-    console.log('Insert cart result:', result);
+    // Lock the product (and a bundle's components) so concurrent holds cannot both take the last unit
+    const { cartId, holdExpiresAt, pricing, addons } = await transaction(async (txQuery) => {
+      await lockProducts([product_id], txQuery);
+      const [row] = await txQuery(
+        'SELECT id, category_id, price_per_day, sale_price, weekly_rate, monthly_rate, duration_discounts FROM products WHERE id = ? AND available = TRUE',
+        [product_id]
+      );
+      console.log('Product query result:', row);
+      if (!row) {
+        const notFound = new Error('Product not found or unavailable');
+        notFound.status = 404;
+        throw notFound;
+      }
+      const [product] = await withEffectivePrices([row], txQuery);
+      const effectivePrice = effectiveDailyRate(product);
+      const selectedAddons = await resolveAddons(product, addon_ids, txQuery);
+
+      const availability = await checkAvailability({ productId: product_id, startDate: start_date, endDate: end_date, quantity }, txQuery);
+      console.log('Availability check result:', availability);
+      if (!availability.available) {
+        throw unavailableError(availability);
+      }
+
+      const result = await txQuery(
+        `INSERT INTO cart (user_id, guest_session_id, product_id, start_date, end_date, quantity, price_snapshot, addon_ids, hold_expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ${hold ? 'DATE_ADD(NOW(), INTERVAL ? MINUTE)' : 'NULL'})`,
+        [userId, guestSessionId, product_id, start_date, end_date, quantity, effectivePrice,
+          selectedAddons.length > 0 ? JSON.stringify(selectedAddons.map(addon => addon.id)) : null, ...(hold ? [config.cart.holdMinutes] : [])]
+      );
+      console.log('Insert cart result:', result);
+      const [inserted] = await txQuery('SELECT hold_expires_at FROM cart WHERE id = ?', [result.insertId]);
+      const pricing = priceRental({ product, dailyRate: effectivePrice, startDate: start_date, endDate: end_date, quantity });
+      const addons = priceAddons(selectedAddons, { days: pricing.days, quantity, rentalSubtotal: pricing.total });
+      return { cartId: result.insertId, holdExpiresAt: inserted ? inserted.hold_expires_at : null, pricing, addons };
+    });
+    await extendHolds(userId, guestSessionId);
 
     // Invalidate cache for this user or guest
     const cacheKey = userId ? `cart:${userId}` : `cart:guest:${guestSessionId}`;
     cache.delete(cacheKey);
 
-    res.json({ message: 'Product added to cart', cartId: result.insertId });
+    res.json({ message: 'Product added to cart', cartId, holdExpiresAt, pricing, addons });
   } catch (error) {
     console.error('Add to cart error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, available: error.available, blackoutDates: error.blackoutDates });
+    }
     res.status(500).json({ error: `Failed to add to cart: ${error.message}` });
   }
 });
@@ -81,6 +126,8 @@ router.get('/', authenticate, cartLimiter, async (req, res) => {
       return res.status(400).json({ error: 'User ID or guest session ID required' });
     }
 
+    await extendHolds(userId, guestSessionId);
+
     const cacheKey = userId ? `cart:${userId}` : `cart:guest:${guestSessionId}`;
     const cached = cache.get(cacheKey);
     if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
@@ -88,11 +135,41 @@ router.get('/', authenticate, cartLimiter, async (req, res) => {
       return res.json(cached.data);
     }
 
-    const queryStr = userId
-      ? 'SELECT c.*, c.price_snapshot as price_per_day, p.name, p.image_url FROM cart c JOIN products p ON c.product_id = p.id WHERE c.user_id = ?'
-      : 'SELECT c.*, c.price_snapshot as price_per_day, p.name, p.image_url FROM cart c JOIN products p ON c.product_id = p.id WHERE c.guest_session_id = ?';
+    const queryStr =
+      'SELECT c.*, c.price_snapshot as price_per_day, (c.hold_expires_at IS NOT NULL AND c.hold_expires_at > NOW()) AS hold_active, ' +
+      'p.name, p.image_url, p.category_id, p.price_per_day AS regular_rate, p.sale_price, p.weekly_rate, p.monthly_rate, p.duration_discounts ' +
+      'FROM cart c JOIN products p ON c.product_id = p.id ' +
+      (userId ? 'WHERE c.user_id = ?' : 'WHERE c.guest_session_id = ?');
     const params = userId ? [userId] : [guestSessionId];
-    const cartItems = await query(queryStr, params);
+    const rows = await query(queryStr, params);
+    // Price with the product's current rates and sales, exactly as POST /api/orders/quote will
+    const products = await withEffectivePrices(rows.map(row => ({
+      id: row.product_id,
+      category_id: row.category_id,
+      price_per_day: row.regular_rate,
+      sale_price: row.sale_price,
+    })));
+    const addonIds = [...new Set(rows.flatMap(row => parseIdList(row.addon_ids)))];
+    const addonRows = addonIds.length > 0
+      ? await query(`SELECT * FROM addons WHERE is_active = TRUE AND id IN (${addonIds.map(() => '?').join(', ')})`, addonIds)
+      : [];
+    const cartItems = rows.map(({ category_id, regular_rate, sale_price, weekly_rate, monthly_rate, duration_discounts, ...item }, index) => {
+      const pricing = priceRental({
+        product: { weekly_rate, monthly_rate, duration_discounts },
+        dailyRate: effectiveDailyRate(products[index]),
+        startDate: item.start_date,
+        endDate: item.end_date,
+        quantity: item.quantity,
+      });
+      const selectedIds = parseIdList(item.addon_ids);
+      return {
+        ...item,
+        addon_ids: selectedIds,
+        sale_ends_at: products[index].sale_ends_at,
+        pricing,
+        addons: priceAddons(addonRows.filter(addon => selectedIds.includes(addon.id)), { days: pricing.days, quantity: item.quantity, rentalSubtotal: pricing.total }),
+      };
+    });
     console.log('Cart items fetched:', cartItems);
 
     // Store in cache
@@ -108,31 +185,70 @@ router.get('/', authenticate, cartLimiter, async (req, res) => {
 // Update cart item
 router.put('/:id', authenticate, cartLimiter, async (req, res) => {
   try {
-    const { quantity } = req.body;
+    const { quantity, addon_ids } = req.body;
     const cartId = req.params.id;
     const userId = req.user ? req.user.id : null;
     const guestSessionId = req.guestSessionId;
 
-    console.log('PUT /api/cart/:id:', { cartId, userId, guestSessionId, quantity });
+    console.log('PUT /api/cart/:id:', { cartId, userId, guestSessionId, quantity, addon_ids });
 
     if (!userId && !guestSessionId) {
       return res.status(400).json({ error: 'User ID or guest session ID required' });
     }
-    if (!Number.isInteger(quantity) || quantity < 1) {
+    if (quantity === undefined && addon_ids === undefined) {
+      return res.status(400).json({ error: 'Provide quantity and/or addon_ids to update' });
+    }
+    if (quantity !== undefined && (!Number.isInteger(quantity) || quantity < 1)) {
       return res.status(400).json({ error: 'Quantity must be a positive integer' });
     }
-
-    const queryStr = userId
-      ? 'UPDATE cart SET quantity = ? WHERE id = ? AND user_id = ?'
-      : 'UPDATE cart SET quantity = ? WHERE id = ? AND guest_session_id = ?';
-    const params = userId ? [quantity, cartId, userId] : [quantity, cartId, guestSessionId];
-    const result = await query(queryStr, params);
-    console.log('Update cart result:', result);
-
-    if (!result || result.affectedRows === 0) {
-      return res.status(404).json({ error: 'Cart item not found' });
+    if (addon_ids !== undefined && !Array.isArray(addon_ids)) {
+      return res.status(400).json({ error: 'addon_ids must be an array' });
     }
 
+    const ownerClause = userId ? 'user_id = ?' : 'guest_session_id = ?';
+    const owner = userId || guestSessionId;
+    await transaction(async (txQuery) => {
+      // Locking read, so no plain read fixes the snapshot before the product lock
+      const [cartItem] = await txQuery(`SELECT * FROM cart WHERE id = ? AND ${ownerClause} FOR UPDATE`, [cartId, owner]);
+      if (!cartItem) {
+        const notFound = new Error('Cart item not found');
+        notFound.status = 404;
+        throw notFound;
+      }
+
+      const updateFields = {};
+      if (quantity !== undefined) {
+        await lockProducts([cartItem.product_id], txQuery);
+        const availability = await checkAvailability({
+          productId: cartItem.product_id,
+          startDate: cartItem.start_date,
+          endDate: cartItem.end_date,
+          quantity,
+          excludeCartIds: [cartItem.id],
+        }, txQuery);
+        console.log('Availability check result:', availability);
+        if (!availability.available) {
+          throw unavailableError(availability);
+        }
+        updateFields.quantity = quantity;
+      }
+      if (addon_ids !== undefined) {
+        const [product] = await txQuery('SELECT id, category_id FROM products WHERE id = ?', [cartItem.product_id]);
+        if (!product) {
+          const notFound = new Error('Product not found');
+          notFound.status = 404;
+          throw notFound;
+        }
+        const selectedAddons = await resolveAddons(product, addon_ids, txQuery);
+        updateFields.addon_ids = selectedAddons.length > 0 ? JSON.stringify(selectedAddons.map(addon => addon.id)) : null;
+      }
+
+      const setClause = Object.keys(updateFields).map(field => `${field} = ?`).join(', ');
+      const result = await txQuery(`UPDATE cart SET ${setClause} WHERE id = ? AND ${ownerClause}`, [...Object.values(updateFields), cartId, owner]);
+      console.log('Update cart result:', result);
+    });
+    await extendHolds(userId, guestSessionId);
+
     // Invalidate cache
     const cacheKey = userId ? `cart:${userId}` : `cart:guest:${guestSessionId}`;
     cache.delete(cacheKey);
@@ -140,6 +256,9 @@ router.put('/:id', authenticate, cartLimiter, async (req, res) => {
     res.json({ message: 'Cart item updated' });
   } catch (error) {
     console.error('Update cart error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, available: error.available, blackoutDates: error.blackoutDates });
+    }
     res.status(500).json({ error: 'Failed to update cart item' });
   }
 });
@@ -183,7 +302,8 @@ router.delete('/:id', authenticate, cartLimiter, async (req, res) => {
 router.get('/all', authenticate, restrictTo('admin'), cartLimiter, async (req, res) => {
   try {
     const cartItems = await query(
-      'SELECT c.*, p.name, p.image_url, COALESCE(u.email, c.guest_session_id) as user_identifier ' +
+      'SELECT c.*, p.name, p.image_url, COALESCE(u.email, c.guest_session_id) as user_identifier, ' +
+      '(c.hold_expires_at IS NOT NULL AND c.hold_expires_at > NOW()) AS hold_active ' +
       'FROM cart c ' +
       'JOIN products p ON c.product_id = p.id ' +
       'LEFT JOIN users u ON c.user_id = u.id'
@@ -35,12 +35,16 @@ router.get('/:id', async (req, res) => {
 // Add category (admin only)
 router.post('/', authenticate, restrictTo('admin'), async (req, res) => {
   try {
-    const { name, description, imageBase64 } = req.body;
-    console.log('POST /api/categories - Request body:', { name, description, imageBase64: !!imageBase64 });
+    const { name, description, imageBase64, turnaround_days = 0 } = req.body;
+    console.log('POST /api/categories - Request body:', { name, description, imageBase64: !!imageBase64, turnaround_days });
 
     if (!name) {
       return res.status(400).json({ error: 'Missing required field: name' });
     }
+    const turnaround = Number(turnaround_days || 0);
+    if (!Number.isInteger(turnaround) || turnaround < 0) {
+      return res.status(400).json({ error: 'Invalid turnaround_days: must be a non-negative integer' });
+    }
 
     let image_url = null;
     if (imageBase64 && imageBase64.startsWith('data:image')) {
@@ -54,8 +58,8 @@ router.post('/', authenticate, restrictTo('admin'), async (req, res) => {
     }
 
     const result = await query(
-      'INSERT INTO categories (name, description, image_url) VALUES (?, ?, ?)',
-      [name, description || null, image_url]
+      'INSERT INTO categories (name, description, image_url, turnaround_days) VALUES (?, ?, ?, ?)',
+      [name, description || null, image_url, turnaround]
     );
     if (!result || !result.insertId) {
       throw new Error('Failed to insert category into database');
@@ -71,8 +75,8 @@ router.post('/', authenticate, restrictTo('admin'), async (req, res) => {
 // Update category (admin only)
 router.put('/:id', authenticate, restrictTo('admin'), async (req, res) => {
   try {
-    const { name, description, imageBase64 } = req.body;
-    console.log('PUT /api/categories/:id - Request body:', { id: req.params.id, name, description, imageBase64: !!imageBase64 });
+    const { name, description, imageBase64, turnaround_days } = req.body;
+    console.log('PUT /api/categories/:id - Request body:', { id: req.params.id, name, description, imageBase64: !!imageBase64, turnaround_days });
 
     const categories = await query('SELECT * FROM categories WHERE id = ?', [req.params.id]);
     if (!categories || categories.length === 0) {
@@ -82,6 +86,12 @@ router.put('/:id', authenticate, restrictTo('admin'), async (req, res) => {
     const updateFields = {};
     if (name !== undefined && name !== '') updateFields.name = name;
     if (description !== undefined) updateFields.description = description || null;
+    if (turnaround_days !== undefined && turnaround_days !== '') {
+      updateFields.turnaround_days = Number(turnaround_days);
+      if (!Number.isInteger(updateFields.turnaround_days) || updateFields.turnaround_days < 0) {
+        return res.status(400).json({ error: 'Invalid turnaround_days: must be a non-negative integer' });
+      }
+    }
 
     let image_url = categories[0].image_url;
     if (imageBase64 && imageBase64.startsWith('data:image')) {
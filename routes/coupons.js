@@ -0,0 +1,197 @@
+const express = require('express');
+const { query } = require('../utils/db');
+const { authenticate, restrictTo } = require('../utils/auth');
+const { DISCOUNT_TYPES, parseIdList } = require('../utils/coupons');
+const router = express.Router();
+
+const isEmpty = value => value === undefined || value === null || value === '';
+
+// Validate admin input and map it to coupon columns. With `partial` only the
+// fields present are checked, for updates. Returns { fields } or { error }.
+const buildCouponFields = (body, partial = false) => {
+  const fields = {};
+
+  if (!partial || body.code !== undefined) {
+    if (isEmpty(body.code) || !/^[A-Za-z0-9_-]{3,50}$/.test(body.code)) {
+      return { error: 'code must be 3-50 letters, digits, dashes or underscores' };
+    }
+    fields.code = body.code.toUpperCase();
+  }
+  if (!partial || body.discount_type !== undefined) {
+    if (!DISCOUNT_TYPES.includes(body.discount_type)) {
+      return { error: `discount_type must be one of ${DISCOUNT_TYPES.join(', ')}` };
+    }
+    fields.discount_type = body.discount_type;
+  }
+  if (!partial || body.discount_value !== undefined) {
+    const value = parseFloat(body.discount_value);
+    const type = fields.discount_type || body.discount_type;
+    if (isNaN(value) || value <= 0 || (type === 'percent' && value > 100)) {
+      return { error: 'discount_value must be a positive number (at most 100 for percent coupons)' };
+    }
+    fields.discount_value = value;
+  }
+  if (body.description !== undefined) fields.description = body.description || null;
+  if (body.min_order_value !== undefined) {
+    fields.min_order_value = isEmpty(body.min_order_value) ? null : parseFloat(body.min_order_value);
+    if (fields.min_order_value !== null && (isNaN(fields.min_order_value) || fields.min_order_value < 0)) {
+      return { error: 'min_order_value must be a non-negative number' };
+    }
+  }
+  for (const field of ['starts_at', 'ends_at']) {
+    if (body[field] !== undefined) {
+      fields[field] = isEmpty(body[field]) ? null : body[field];
+      if (fields[field] !== null && isNaN(Date.parse(fields[field]))) {
+        return { error: `${field} must be a valid date` };
+      }
+    }
+  }
+  if (fields.starts_at && fields.ends_at && new Date(fields.starts_at) >= new Date(fields.ends_at)) {
+    return { error: 'ends_at must be after starts_at' };
+  }
+  for (const field of ['max_redemptions', 'max_redemptions_per_customer']) {
+    if (body[field] !== undefined) {
+      fields[field] = isEmpty(body[field]) ? null : Number(body[field]);
+      if (fields[field] !== null && (!Number.isInteger(fields[field]) || fields[field] < 1)) {
+        return { error: `${field} must be a positive integer or empty for no limit` };
+      }
+    }
+  }
+  for (const field of ['product_ids', 'category_ids']) {
+    if (body[field] !== undefined) {
+      if (!isEmpty(body[field]) && !Array.isArray(body[field])) {
+        return { error: `${field} must be an array of ids` };
+      }
+      const ids = parseIdList(body[field] || []);
+      fields[field] = ids.length > 0 ? JSON.stringify(ids) : null;
+    }
+  }
+  if (body.is_active !== undefined) fields.is_active = !!body.is_active;
+
+  return { fields };
+};
+
+// Get all coupons with redemption counts (admin only)
+router.get('/', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    const coupons = await query(
+      `SELECT c.*,
+              COUNT(o.id) AS redemption_count,
+              COALESCE(SUM(CASE WHEN o.id IS NOT NULL THEN r.discount_amount END), 0) AS total_discount
+       FROM coupons c
+       LEFT JOIN coupon_redemptions r ON r.coupon_id = c.id
+       LEFT JOIN orders o ON r.order_id = o.id AND o.status NOT IN ('cancelled', 'rejected')
+       GROUP BY c.id
+       ORDER BY c.created_at DESC`
+    );
+    console.log('Fetched coupons:', coupons.length);
+    res.json(coupons.map(coupon => ({
+      ...coupon,
+      product_ids: parseIdList(coupon.product_ids),
+      category_ids: parseIdList(coupon.category_ids),
+      redemption_count: parseInt(coupon.redemption_count) || 0,
+      total_discount: parseFloat(coupon.total_discount) || 0,
+    })));
+  } catch (error) {
+    console.error('Coupons fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch coupons', details: error.message });
+  }
+});
+
+// Get a coupon's redemptions (admin only)
+router.get('/:id/redemptions', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    const redemptions = await query(
+      `SELECT r.*, o.status AS order_status
+       FROM coupon_redemptions r
+       JOIN orders o ON r.order_id = o.id
+       WHERE r.coupon_id = ?
+       ORDER BY r.created_at DESC`,
+      [req.params.id]
+    );
+    res.json(redemptions);
+  } catch (error) {
+    console.error('Coupon redemptions fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch coupon redemptions', details: error.message });
+  }
+});
+
+// Add coupon (admin only)
+router.post('/', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    console.log('POST /api/coupons - Request body:', req.body);
+    const { fields, error } = buildCouponFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const [existing] = await query('SELECT id FROM coupons WHERE code = ?', [fields.code]);
+    if (existing) {
+      return res.status(400).json({ error: 'Coupon code already exists' });
+    }
+
+    const columns = Object.keys(fields);
+    const result = await query(
+      `INSERT INTO coupons (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      Object.values(fields)
+    );
+    console.log('Insert coupon result:', result);
+    res.status(201).json({ message: 'Coupon added', id: result.insertId });
+  } catch (error) {
+    console.error('Coupon add error:', error);
+    res.status(500).json({ error: 'Failed to add coupon', details: error.message });
+  }
+});
+
+// Update coupon (admin only)
+router.put('/:id', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    console.log('PUT /api/coupons/:id - Request body:', { id: req.params.id, ...req.body });
+    const { fields, error } = buildCouponFields(req.body, true);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ error: 'No valid fields provided for update' });
+    }
+    if (fields.code) {
+      const [existing] = await query('SELECT id FROM coupons WHERE code = ? AND id != ?', [fields.code, req.params.id]);
+      if (existing) {
+        return res.status(400).json({ error: 'Coupon code already exists' });
+      }
+    }
+
+    const setClause = Object.keys(fields)
+      .map(field => `${field} = ?`)
+      .join(', ');
+    const result = await query(`UPDATE coupons SET ${setClause} WHERE id = ?`, [...Object.values(fields), req.params.id]);
+    if (!result || result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+    console.log('Update coupon result:', result);
+    res.json({ message: 'Coupon updated' });
+  } catch (error) {
+    console.error('Coupon update error:', error);
+    res.status(500).json({ error: 'Failed to update coupon', details: error.message });
+  }
+});
+
+// Delete coupon (admin only). Coupons that were redeemed are deactivated instead so order history keeps them.
+router.delete('/:id', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    const [redeemed] = await query('SELECT id FROM coupon_redemptions WHERE coupon_id = ? LIMIT 1', [req.params.id]);
+    const result = redeemed
+      ? await query('UPDATE coupons SET is_active = FALSE WHERE id = ?', [req.params.id])
+      : await query('DELETE FROM coupons WHERE id = ?', [req.params.id]);
+    if (!result || result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+    console.log('Delete coupon result:', result);
+    res.json({ message: redeemed ? 'Coupon deactivated' : 'Coupon deleted' });
+  } catch (error) {
+    console.error('Coupon delete error:', error);
+    res.status(500).json({ error: 'Failed to delete coupon', details: error.message });
+  }
+});
+
+module.exports = router;
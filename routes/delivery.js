@@ -0,0 +1,427 @@
+const express = require('express');
+const { query, transaction } = require('../utils/db');
+const { authenticate, restrictTo } = require('../utils/auth');
+const { toDateKey, isDateKey } = require('../utils/availability');
+const { parseJsonList } = require('../utils/handovers');
+const { findOrdersByIds } = require('../utils/orderRepository');
+const { ZONE_TYPES, SLOT_TYPES, SLOT_RELEASING_STATUSES, resolveDeliveryZone, withSlotCapacity, checkSlot } = require('../utils/delivery');
+const router = express.Router();
+
+const isEmpty = value => value === undefined || value === null || value === '';
+const isTime = value => /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(value);
+
+const formatZone = zone => ({ ...zone, postcodes: zone.zone_type === 'postcodes' ? parseJsonList(zone.postcodes) : null });
+
+// Validate admin input and map it to delivery zone columns. With `partial`
+// only the fields present are checked, for updates; `existing` is the stored
+// row so cross-field rules see the merged result. Returns { fields } or { error }.
+const buildZoneFields = (body, partial = false, existing = {}) => {
+  const fields = {};
+
+  if (!partial || body.name !== undefined) {
+    if (isEmpty(body.name)) {
+      return { error: 'name is required' };
+    }
+    fields.name = body.name;
+  }
+  if (!partial || body.zone_type !== undefined) {
+    if (!ZONE_TYPES.includes(body.zone_type)) {
+      return { error: `zone_type must be one of ${ZONE_TYPES.join(', ')}` };
+    }
+    fields.zone_type = body.zone_type;
+  }
+  if (body.postcodes !== undefined) {
+    if (!Array.isArray(body.postcodes) || body.postcodes.some(code => typeof code !== 'string' || code.trim() === '')) {
+      return { error: 'postcodes must be an array of postcode prefixes' };
+    }
+    fields.postcodes = JSON.stringify(body.postcodes.map(code => code.trim().toUpperCase()));
+  }
+  for (const field of ['min_distance_km', 'max_distance_km']) {
+    if (body[field] !== undefined) {
+      fields[field] = isEmpty(body[field]) ? null : parseFloat(body[field]);
+      if (fields[field] !== null && (isNaN(fields[field]) || fields[field] < 0)) {
+        return { error: `${field} must be a non-negative number` };
+      }
+    }
+  }
+  if (!partial || body.fee !== undefined) {
+    fields.fee = parseFloat(body.fee);
+    if (isNaN(fields.fee) || fields.fee < 0) {
+      return { error: 'fee must be a non-negative number' };
+    }
+  }
+  if (body.is_active !== undefined) fields.is_active = !!body.is_active;
+
+  const zone = { ...existing, ...fields };
+  if (zone.zone_type === 'postcodes' && parseJsonList(zone.postcodes).length === 0) {
+    return { error: 'A postcodes zone needs at least one postcode prefix' };
+  }
+  if (zone.zone_type === 'distance') {
+    if (isEmpty(zone.max_distance_km)) {
+      return { error: 'A distance zone needs max_distance_km' };
+    }
+    if (parseFloat(zone.min_distance_km || 0) >= parseFloat(zone.max_distance_km)) {
+      return { error: 'min_distance_km must be below max_distance_km' };
+    }
+  }
+
+  return { fields };
+};
+
+// Get active delivery zones (public); admins get inactive ones too with ?all=true
+router.get('/zones', authenticate, async (req, res) => {
+  try {
+    const all = req.query.all === 'true' && req.user && req.user.role === 'admin';
+    const zones = await query(`SELECT * FROM delivery_zones${all ? '' : ' WHERE is_active = TRUE'} ORDER BY zone_type, fee, name`);
+    res.json(zones.map(formatZone));
+  } catch (error) {
+    console.error('Delivery zones fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch delivery zones', details: error.message });
+  }
+});
+
+// Add delivery zone (admin only)
+router.post('/zones', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    console.log('POST /api/delivery/zones - Request body:', req.body);
+    const { fields, error } = buildZoneFields(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const columns = Object.keys(fields);
+    const result = await query(
+      `INSERT INTO delivery_zones (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      Object.values(fields)
+    );
+    console.log('Insert delivery zone result:', result);
+    res.status(201).json({ message: 'Delivery zone added', id: result.insertId });
+  } catch (error) {
+    console.error('Delivery zone add error:', error);
+    res.status(500).json({ error: 'Failed to add delivery zone', details: error.message });
+  }
+});
+
+// Update delivery zone (admin only). Placed orders keep the fee they were charged.
+router.put('/zones/:id', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    console.log('PUT /api/delivery/zones/:id - Request body:', { id: req.params.id, ...req.body });
+    const [existing] = await query('SELECT * FROM delivery_zones WHERE id = ?', [req.params.id]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Delivery zone not found' });
+    }
+    const { fields, error } = buildZoneFields(req.body || {}, true, existing);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ error: 'No valid fields provided for update' });
+    }
+    const setClause = Object.keys(fields)
+      .map(field => `${field} = ?`)
+      .join(', ');
+    const result = await query(`UPDATE delivery_zones SET ${setClause} WHERE id = ?`, [...Object.values(fields), req.params.id]);
+    console.log('Update delivery zone result:', result);
+    res.json({ message: 'Delivery zone updated' });
+  } catch (error) {
+    console.error('Delivery zone update error:', error);
+    res.status(500).json({ error: 'Failed to update delivery zone', details: error.message });
+  }
+});
+
+// Delete delivery zone (admin only). Zones orders were delivered to are deactivated instead.
+router.delete('/zones/:id', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    const [used] = await query('SELECT id FROM orders WHERE delivery_zone_id = ? LIMIT 1', [req.params.id]);
+    const result = used
+      ? await query('UPDATE delivery_zones SET is_active = FALSE WHERE id = ?', [req.params.id])
+      : await query('DELETE FROM delivery_zones WHERE id = ?', [req.params.id]);
+    if (!result || result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Delivery zone not found' });
+    }
+    console.log('Delete delivery zone result:', result);
+    res.json({ message: used ? 'Delivery zone deactivated' : 'Delivery zone deleted' });
+  } catch (error) {
+    console.error('Delivery zone delete error:', error);
+    res.status(500).json({ error: 'Failed to delete delivery zone', details: error.message });
+  }
+});
+
+// Delivery fee for an address: { postcode } and/or { latitude, longitude } (public)
+router.post('/quote', async (req, res) => {
+  try {
+    const { postcode, latitude, longitude } = req.body || {};
+    const { zone, distanceKm } = await resolveDeliveryZone({ postcode, latitude, longitude });
+    res.json({ zone: { id: zone.id, name: zone.name }, distanceKm, fee: parseFloat(zone.fee) });
+  } catch (error) {
+    console.error('Delivery quote error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to quote delivery', details: error.message });
+  }
+});
+
+// Get slots with remaining capacity (public): ?type=delivery|collection and
+// ?date= or ?from=&to= (defaults to the next 14 days). Full slots are listed
+// with remaining 0 so the calendar can grey them out.
+router.get('/slots', async (req, res) => {
+  try {
+    const { type, date } = req.query;
+    const from = date || req.query.from || toDateKey(new Date());
+    const to = date || req.query.to || toDateKey(new Date(Date.now() + 14 * 24 * 60 * 60 * 1000));
+    if (!isDateKey(from) || !isDateKey(to)) {
+      return res.status(400).json({ error: 'date, from and to must be dates in YYYY-MM-DD format' });
+    }
+    if (type !== undefined && !SLOT_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of ${SLOT_TYPES.join(', ')}` });
+    }
+    const params = [from, to];
+    let sql = 'SELECT * FROM delivery_slots WHERE is_active = TRUE AND slot_date BETWEEN ? AND ?';
+    if (type) {
+      sql += ' AND slot_type = ?';
+      params.push(type);
+    }
+    sql += ' ORDER BY slot_date, start_time, slot_type';
+    const slots = await withSlotCapacity(await query(sql, params));
+    res.json(slots);
+  } catch (error) {
+    console.error('Delivery slots fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch delivery slots', details: error.message });
+  }
+});
+
+// Add slots (admin only): slot_type, start_time, end_time, capacity and
+// either `date` or `dates` (one slot per date)
+router.post('/slots', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    console.log('POST /api/delivery/slots - Request body:', req.body);
+    const { slot_type, start_time, end_time, capacity, date, dates } = req.body || {};
+    const slotDates = Array.isArray(dates) ? dates : [date];
+    if (!SLOT_TYPES.includes(slot_type)) {
+      return res.status(400).json({ error: `slot_type must be one of ${SLOT_TYPES.join(', ')}` });
+    }
+    if (slotDates.length === 0 || !slotDates.every(isDateKey)) {
+      return res.status(400).json({ error: 'date or dates must be dates in YYYY-MM-DD format' });
+    }
+    if (!isTime(start_time) || !isTime(end_time) || start_time >= end_time) {
+      return res.status(400).json({ error: 'start_time and end_time must be HH:MM with start_time before end_time' });
+    }
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      return res.status(400).json({ error: 'capacity must be a positive integer' });
+    }
+
+    const ids = await transaction(async (txQuery) => {
+      const inserted = [];
+      for (const slotDate of [...new Set(slotDates)]) {
+        const result = await txQuery(
+          'INSERT INTO delivery_slots (slot_type, slot_date, start_time, end_time, capacity) VALUES (?, ?, ?, ?, ?)',
+          [slot_type, slotDate, start_time, end_time, capacity]
+        );
+        inserted.push(result.insertId);
+      }
+      return inserted;
+    });
+    console.log('Inserted delivery slots:', ids);
+    res.status(201).json({ message: `${ids.length} slot(s) added`, ids });
+  } catch (error) {
+    console.error('Delivery slot add error:', error);
+    res.status(500).json({ error: 'Failed to add delivery slots', details: error.message });
+  }
+});
+
+// Update a slot's times, capacity or active flag (admin only). Capacity cannot
+// drop below what is already booked; the slot row is locked and its bookings
+// counted with a locking read so a concurrent booking cannot slip past.
+router.put('/slots/:id', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    console.log('PUT /api/delivery/slots/:id - Request body:', { id: req.params.id, ...req.body });
+    const body = req.body || {};
+    const result = await transaction(async (txQuery) => {
+      const [existing] = await txQuery('SELECT * FROM delivery_slots WHERE id = ? FOR UPDATE', [req.params.id]);
+      if (!existing) {
+        const notFound = new Error('Slot not found');
+        notFound.status = 404;
+        throw notFound;
+      }
+      const invalid = message => {
+        const error = new Error(message);
+        error.status = 400;
+        return error;
+      };
+      const fields = {};
+      for (const field of ['start_time', 'end_time']) {
+        if (body[field] !== undefined) {
+          if (!isTime(body[field])) {
+            throw invalid(`${field} must be HH:MM`);
+          }
+          fields[field] = body[field];
+        }
+      }
+      if ((fields.start_time || existing.start_time) >= (fields.end_time || existing.end_time)) {
+        throw invalid('start_time must be before end_time');
+      }
+      if (body.capacity !== undefined) {
+        const [slot] = await withSlotCapacity([existing], txQuery, { lock: true });
+        if (!Number.isInteger(body.capacity) || body.capacity < slot.booked || body.capacity < 1) {
+          throw invalid(`capacity must be a positive integer of at least ${slot.booked} (already booked)`);
+        }
+        fields.capacity = body.capacity;
+      }
+      if (body.is_active !== undefined) fields.is_active = !!body.is_active;
+      if (Object.keys(fields).length === 0) {
+        throw invalid('No valid fields provided for update');
+      }
+
+      const setClause = Object.keys(fields)
+        .map(field => `${field} = ?`)
+        .join(', ');
+      return txQuery(`UPDATE delivery_slots SET ${setClause} WHERE id = ?`, [...Object.values(fields), existing.id]);
+    });
+    console.log('Update delivery slot result:', result);
+    res.json({ message: 'Slot updated' });
+  } catch (error) {
+    console.error('Delivery slot update error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to update slot', details: error.message });
+  }
+});
+
+// Delete a slot (admin only). Slots with bookings are deactivated instead so
+// their orders keep the window; move those orders first to free it. The slot
+// is locked first, as bookings do, so none can land between check and delete.
+router.delete('/slots/:id', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    const { result, used } = await transaction(async (txQuery) => {
+      const [slot] = await txQuery('SELECT id FROM delivery_slots WHERE id = ? FOR UPDATE', [req.params.id]);
+      if (!slot) {
+        return { result: null, used: false };
+      }
+      const [order] = await txQuery(
+        'SELECT id FROM orders WHERE delivery_slot_id = ? OR collection_slot_id = ? LIMIT 1 FOR SHARE',
+        [slot.id, slot.id]
+      );
+      const result = order
+        ? await txQuery('UPDATE delivery_slots SET is_active = FALSE WHERE id = ?', [slot.id])
+        : await txQuery('DELETE FROM delivery_slots WHERE id = ?', [slot.id]);
+      return { result, used: !!order };
+    });
+    if (!result || result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Slot not found' });
+    }
+    console.log('Delete delivery slot result:', result);
+    res.json({ message: used ? 'Slot deactivated' : 'Slot deleted' });
+  } catch (error) {
+    console.error('Delivery slot delete error:', error);
+    res.status(500).json({ error: 'Failed to delete slot', details: error.message });
+  }
+});
+
+// Move a delivery order to other slots (admin only), e.g. after its dates
+// changed. Slots are checked against the order's current first and last day;
+// the order's own booking does not count against their capacity.
+router.put('/orders/:orderId/slots', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    const { deliverySlotId, collectionSlotId } = req.body || {};
+    if (!deliverySlotId && !collectionSlotId) {
+      return res.status(400).json({ error: 'Provide deliverySlotId and/or collectionSlotId' });
+    }
+
+    const slots = await transaction(async (txQuery) => {
+      const [order] = await txQuery('SELECT id, status, fulfillment_method FROM orders WHERE id = ? FOR UPDATE', [req.params.orderId]);
+      if (!order) {
+        const notFound = new Error('Order not found');
+        notFound.status = 404;
+        throw notFound;
+      }
+      if (order.fulfillment_method !== 'delivery') {
+        const notDelivery = new Error('Order is collected in store and has no delivery slots');
+        notDelivery.status = 409;
+        throw notDelivery;
+      }
+      if (SLOT_RELEASING_STATUSES.includes(order.status)) {
+        const closed = new Error(`Order is ${order.status} and no longer has delivery slots`);
+        closed.status = 409;
+        throw closed;
+      }
+      const [dates] = await txQuery(
+        'SELECT MIN(start_date) AS first_day, MAX(end_date) AS last_day FROM order_items WHERE order_id = ? AND parent_item_id IS NULL',
+        [order.id]
+      );
+      const fields = {};
+      if (deliverySlotId) {
+        await checkSlot(deliverySlotId, { slotType: 'delivery', date: toDateKey(dates.first_day), lock: true, excludeOrderId: order.id }, txQuery);
+        fields.delivery_slot_id = deliverySlotId;
+      }
+      if (collectionSlotId) {
+        await checkSlot(collectionSlotId, { slotType: 'collection', date: toDateKey(dates.last_day), lock: true, excludeOrderId: order.id }, txQuery);
+        fields.collection_slot_id = collectionSlotId;
+      }
+      await txQuery(
+        `UPDATE orders SET ${Object.keys(fields).map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+        [...Object.values(fields), order.id]
+      );
+      return fields;
+    });
+
+    console.log('Moved order slots:', { orderId: req.params.orderId, ...slots });
+    res.json({ message: 'Order slots updated', ...slots });
+  } catch (error) {
+    console.error('Move order slots error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to update order slots', details: error.message });
+  }
+});
+
+// Daily dispatch list (admin only): the deliveries and collections booked
+// for ?date= (default today), in slot order, with address and items
+router.get('/dispatch', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    const date = req.query.date || toDateKey(new Date());
+    if (!isDateKey(date)) {
+      return res.status(400).json({ error: 'date must be in YYYY-MM-DD format' });
+    }
+
+    const runs = await query(
+      `SELECT s.slot_type AS run_type, s.id AS slot_id, s.start_time, s.end_time, o.id AS order_id
+       FROM delivery_slots s
+       JOIN orders o ON (s.slot_type = 'delivery' AND o.delivery_slot_id = s.id)
+         OR (s.slot_type = 'collection' AND o.collection_slot_id = s.id)
+       WHERE s.slot_date = ? AND o.status NOT IN ('cancelled', 'rejected')
+       ORDER BY s.start_time, s.slot_type, o.id`,
+      [date]
+    );
+    const orders = await findOrdersByIds([...new Set(runs.map(run => run.order_id))]);
+    const byId = new Map(orders.map(order => [order.id, order]));
+    const stop = run => {
+      const order = byId.get(run.order_id);
+      return {
+        slotId: run.slot_id,
+        startTime: run.start_time,
+        endTime: run.end_time,
+        orderId: order.id,
+        status: order.status,
+        name: order.name,
+        phone: order.phone,
+        address: order.address,
+        postcode: order.delivery_postcode,
+        zoneId: order.delivery_zone_id,
+        items: order.items,
+      };
+    };
+
+    res.json({
+      date,
+      deliveries: runs.filter(run => run.run_type === 'delivery').map(stop),
+      collections: runs.filter(run => run.run_type === 'collection').map(stop),
+    });
+  } catch (error) {
+    console.error('Dispatch list error:', error);
+    res.status(500).json({ error: 'Failed to fetch dispatch list', details: error.message });
+  }
+});
+
+module.exports = router;
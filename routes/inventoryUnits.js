@@ -0,0 +1,149 @@
+const express = require('express');
+const { query, transaction } = require('../utils/db');
+const { authenticate, restrictTo } = require('../utils/auth');
+const { UNIT_STATUSES, syncUnitStock } = require('../utils/inventoryUnits');
+const router = express.Router({ mergeParams: true });
+
+// Get all units of a product (admin only)
+router.get('/', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    const params = [req.params.productId];
+    let sql = 'SELECT * FROM inventory_units WHERE product_id = ?';
+    if (req.query.status) {
+      sql += ' AND status = ?';
+      params.push(req.query.status);
+    }
+    sql += ' ORDER BY serial_number ASC';
+    const units = await query(sql, params);
+    console.log('Fetched inventory units:', { productId: req.params.productId, count: units.length });
+    res.json(units);
+  } catch (error) {
+    console.error('Inventory units fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch inventory units', details: error.message });
+  }
+});
+
+// Add unit (admin only). The product's stock follows its bookable units.
+router.post('/', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    const { serial_number, unit_condition = 'good', status = 'in_stock', notes } = req.body;
+    console.log('POST /api/products/:productId/units - Request body:', { productId: req.params.productId, serial_number, unit_condition, status });
+
+    if (!serial_number) {
+      return res.status(400).json({ error: 'Missing required field: serial_number' });
+    }
+    if (!UNIT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status: must be one of ${UNIT_STATUSES.join(', ')}` });
+    }
+
+    const [product] = await query('SELECT id FROM products WHERE id = ? AND is_deleted = FALSE', [req.params.productId]);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    const [existing] = await query('SELECT id FROM inventory_units WHERE serial_number = ?', [serial_number]);
+    if (existing) {
+      return res.status(400).json({ error: 'Serial number already in use' });
+    }
+
+    const result = await transaction(async (txQuery) => {
+      const inserted = await txQuery(
+        'INSERT INTO inventory_units (product_id, serial_number, unit_condition, status, notes) VALUES (?, ?, ?, ?, ?)',
+        [product.id, serial_number, unit_condition, status, notes || null]
+      );
+      await syncUnitStock(product.id, txQuery);
+      return inserted;
+    });
+    console.log('Insert inventory unit result:', result);
+    res.status(201).json({ message: 'Unit added', id: result.insertId });
+  } catch (error) {
+    console.error('Inventory unit add error:', error);
+    res.status(500).json({ error: 'Failed to add unit', details: error.message });
+  }
+});
+
+// Update unit (admin only). Moving a unit to maintenance or retired takes it
+// out of the product's bookable stock.
+router.put('/:unitId', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    const { serial_number, unit_condition, status, notes } = req.body;
+    console.log('PUT /api/products/:productId/units/:unitId - Request body:', { ...req.params, serial_number, unit_condition, status });
+
+    const updateFields = {};
+    if (serial_number !== undefined && serial_number !== '') updateFields.serial_number = serial_number;
+    if (unit_condition !== undefined && unit_condition !== '') updateFields.unit_condition = unit_condition;
+    if (notes !== undefined) updateFields.notes = notes || null;
+    if (status !== undefined) {
+      if (!UNIT_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Invalid status: must be one of ${UNIT_STATUSES.join(', ')}` });
+      }
+      updateFields.status = status;
+    }
+
+    if (Object.keys(updateFields).length === 0) {
+      return res.status(400).json({ error: 'No valid fields provided for update' });
+    }
+    if (updateFields.serial_number) {
+      const [existing] = await query(
+        'SELECT id FROM inventory_units WHERE serial_number = ? AND id != ?',
+        [updateFields.serial_number, req.params.unitId]
+      );
+      if (existing) {
+        return res.status(400).json({ error: 'Serial number already in use' });
+      }
+    }
+
+    const setClause = Object.keys(updateFields)
+      .map(field => `${field} = ?`)
+      .join(', ');
+    const values = [...Object.values(updateFields), req.params.unitId, req.params.productId];
+
+    const result = await transaction(async (txQuery) => {
+      const updated = await txQuery(
+        `UPDATE inventory_units SET ${setClause} WHERE id = ? AND product_id = ?`,
+        values
+      );
+      await syncUnitStock(req.params.productId, txQuery);
+      return updated;
+    });
+    if (!result || result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Unit not found' });
+    }
+    console.log('Update inventory unit result:', result);
+    res.json({ message: 'Unit updated' });
+  } catch (error) {
+    console.error('Inventory unit update error:', error);
+    res.status(500).json({ error: 'Failed to update unit', details: error.message });
+  }
+});
+
+// Get the orders a unit went out on, newest first (admin only)
+router.get('/:unitId/history', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    const [unit] = await query(
+      'SELECT * FROM inventory_units WHERE id = ? AND product_id = ?',
+      [req.params.unitId, req.params.productId]
+    );
+    if (!unit) {
+      return res.status(404).json({ error: 'Unit not found' });
+    }
+
+    const history = await query(
+      `SELECT oiu.assigned_at, oiu.assigned_by,
+              oi.id AS order_item_id, oi.start_date, oi.end_date,
+              o.id AS order_id, o.status, o.user_id, o.name, o.email, o.phone
+       FROM order_item_units oiu
+       JOIN order_items oi ON oiu.order_item_id = oi.id
+       JOIN orders o ON oi.order_id = o.id
+       WHERE oiu.unit_id = ?
+       ORDER BY oi.start_date DESC`,
+      [unit.id]
+    );
+    console.log('Fetched unit history:', { unitId: unit.id, count: history.length });
+    res.json({ unit, history });
+  } catch (error) {
+    console.error('Unit history fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch unit history', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,139 @@
+const express = require('express');
+const { query, transaction } = require('../utils/db');
+const { authenticate, restrictTo, ownsOrder } = require('../utils/auth');
+const { quoteItemChange, getChangeableItem, applyChangeRequest } = require('../utils/orderChanges');
+const router = express.Router({ mergeParams: true });
+
+// The order in the URL if the caller owns it or is an admin
+const findAccessibleOrder = async (req) => {
+  const [order] = await query('SELECT id, user_id, guest_session_id FROM orders WHERE id = ?', [req.params.orderId]);
+  const isAdmin = req.user && req.user.role === 'admin';
+  return order && (isAdmin || ownsOrder(order, req)) ? order : null;
+};
+
+// Get an order's extension and date-change requests (owner or admin)
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const order = await findAccessibleOrder(req);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    const requests = await query(
+      `SELECT r.*, p.name AS product_name
+       FROM order_change_requests r
+       JOIN order_items oi ON r.order_item_id = oi.id
+       LEFT JOIN products p ON oi.product_id = p.id
+       WHERE r.order_id = ?
+       ORDER BY r.created_at DESC`,
+      [order.id]
+    );
+    res.json(requests);
+  } catch (error) {
+    console.error('Change requests fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch change requests', details: error.message });
+  }
+});
+
+// Request an extension or date change of one order item (owner). The new
+// range is availability-checked and priced now; an admin approves it later.
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const { orderItemId, startDate, endDate, note } = req.body;
+    console.log('POST /api/orders/:orderId/change-requests:', { orderId: req.params.orderId, orderItemId, startDate, endDate, note });
+
+    if (!orderItemId || !startDate || !endDate) {
+      return res.status(400).json({ error: 'Missing required fields: orderItemId, startDate, endDate' });
+    }
+    const [order] = await query('SELECT id, user_id, guest_session_id FROM orders WHERE id = ?', [req.params.orderId]);
+    if (!order || !ownsOrder(order, req)) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const item = await getChangeableItem(order.id, orderItemId, query);
+    const [open] = await query("SELECT id FROM order_change_requests WHERE order_item_id = ? AND status = 'pending'", [item.id]);
+    if (open) {
+      return res.status(409).json({ error: `Order item already has a pending change request (${open.id})` });
+    }
+    const change = await quoteItemChange(item, { startDate, endDate });
+
+    const result = await query(
+      `INSERT INTO order_change_requests
+         (order_id, order_item_id, requested_by, original_start_date, original_end_date, requested_start_date, requested_end_date,
+          rental_delta, addons_delta, tax_delta, price_delta, customer_note)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [order.id, item.id, req.user ? req.user.id : null, change.originalStartDate, change.originalEndDate, change.startDate, change.endDate,
+        change.rentalDelta, change.addonsDelta, change.taxDelta, change.priceDelta, note || null]
+    );
+    console.log('Insert change request result:', result);
+    res.status(201).json({
+      message: 'Change request submitted for approval',
+      id: result.insertId,
+      startDate: change.startDate,
+      endDate: change.endDate,
+      pricing: change.line.pricing_breakdown,
+      keptDays: change.keptDays,
+      rentalTotal: change.rentalTotal,
+      rentalDelta: change.rentalDelta,
+      addonsDelta: change.addonsDelta,
+      taxDelta: change.taxDelta,
+      priceDelta: change.priceDelta,
+    });
+  } catch (error) {
+    console.error('Change request error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, available: error.available, blackoutDates: error.blackoutDates });
+    }
+    res.status(500).json({ error: 'Failed to submit change request', details: error.message });
+  }
+});
+
+// Approve or reject a change request (admin only). Approval re-checks
+// availability and reprices at that moment, then moves the item.
+router.put('/:requestId', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    const { decision, note } = req.body;
+    if (!['approved', 'rejected'].includes(decision)) {
+      return res.status(400).json({ error: 'decision must be approved or rejected' });
+    }
+
+    const request = await transaction(async (txQuery) => {
+      const [changeRequest] = await txQuery(
+        'SELECT * FROM order_change_requests WHERE id = ? AND order_id = ? FOR UPDATE',
+        [req.params.requestId, req.params.orderId]
+      );
+      if (!changeRequest) {
+        const notFound = new Error('Change request not found');
+        notFound.status = 404;
+        throw notFound;
+      }
+      if (changeRequest.status !== 'pending') {
+        const decided = new Error(`Change request already ${changeRequest.status}`);
+        decided.status = 409;
+        throw decided;
+      }
+
+      let deltas = {};
+      if (decision === 'approved') {
+        const change = await applyChangeRequest(changeRequest, txQuery);
+        deltas = { rental_delta: change.rentalDelta, addons_delta: change.addonsDelta, tax_delta: change.taxDelta, price_delta: change.priceDelta };
+      }
+      const fields = { status: decision, admin_note: note || null, decided_by: req.user.id, ...deltas };
+      await txQuery(
+        `UPDATE order_change_requests SET ${Object.keys(fields).map(field => `${field} = ?`).join(', ')}, decided_at = NOW() WHERE id = ?`,
+        [...Object.values(fields), changeRequest.id]
+      );
+      return { ...changeRequest, ...fields };
+    });
+
+    console.log('Change request decided:', request);
+    res.json({ message: `Change request ${request.status}`, request });
+  } catch (error) {
+    console.error('Change request decision error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, available: error.available, blackoutDates: error.blackoutDates });
+    }
+    res.status(500).json({ error: 'Failed to decide change request', details: error.message });
+  }
+});
+
+module.exports = router;
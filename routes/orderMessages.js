@@ -0,0 +1,125 @@
+const express = require('express');
+const { query } = require('../utils/db');
+const { authenticate, ownsOrder } = require('../utils/auth');
+const { uploadToCloudinary } = require('../utils/cloudinary');
+const { parseJsonList } = require('../utils/handovers');
+const router = express.Router({ mergeParams: true });
+
+const MAX_MESSAGE_LENGTH = 5000;
+const MAX_ATTACHMENTS = 5;
+const isAttachment = data => typeof data === 'string' && (data.startsWith('data:image') || data.startsWith('data:application/pdf'));
+
+// The order in the URL and the caller's side of the thread. Mounted under
+// /api/orders/:orderId/messages for the owner and admins, and under
+// /api/orders/track/:secretKey/messages for guests.
+const resolveThread = async (req) => {
+  if (req.params.secretKey) {
+    const [order] = await query('SELECT id FROM orders WHERE secret_key = ?', [req.params.secretKey]);
+    return order ? { orderId: order.id, role: 'customer' } : null;
+  }
+  const [order] = await query('SELECT id, user_id, guest_session_id FROM orders WHERE id = ?', [req.params.orderId]);
+  if (!order) return null;
+  if (req.user && req.user.role === 'admin') return { orderId: order.id, role: 'staff' };
+  return ownsOrder(order, req) ? { orderId: order.id, role: 'customer' } : null;
+};
+
+const formatMessage = message => ({ ...message, attachment_urls: parseJsonList(message.attachment_urls) });
+
+// Get an order's messages, oldest first, with how many from the other side are unread
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const thread = await resolveThread(req);
+    if (!thread) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    const messages = await query(
+      `SELECT m.id, m.order_id, m.sender_role, m.sender_user_id, u.username AS sender_name, m.body, m.attachment_urls, m.read_at, m.created_at
+       FROM order_messages m
+       LEFT JOIN users u ON m.sender_user_id = u.id
+       WHERE m.order_id = ?
+       ORDER BY m.created_at ASC, m.id ASC`,
+      [thread.orderId]
+    );
+    const unreadCount = messages.filter(message => message.sender_role !== thread.role && !message.read_at).length;
+    res.json({ orderId: thread.orderId, unreadCount, messages: messages.map(formatMessage) });
+  } catch (error) {
+    console.error('Order messages fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch messages', details: error.message });
+  }
+});
+
+// Post a message to an order's thread: `body` and optional `attachmentsBase64`
+// (images or PDFs), uploaded to Cloudinary
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const thread = await resolveThread(req);
+    if (!thread) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    // req.body is undefined when the request has no JSON body
+    const body = req.body && typeof req.body.body === 'string' ? req.body.body.trim() : '';
+    const { attachmentsBase64 = [] } = req.body || {};
+    console.log('POST order message:', { orderId: thread.orderId, role: thread.role, length: body.length, attachments: Array.isArray(attachmentsBase64) ? attachmentsBase64.length : 0 });
+
+    if (!body) {
+      return res.status(400).json({ error: 'Message body is required' });
+    }
+    if (body.length > MAX_MESSAGE_LENGTH) {
+      return res.status(400).json({ error: `Message must be at most ${MAX_MESSAGE_LENGTH} characters` });
+    }
+    if (!Array.isArray(attachmentsBase64) || attachmentsBase64.length > MAX_ATTACHMENTS || !attachmentsBase64.every(isAttachment)) {
+      return res.status(400).json({ error: `attachmentsBase64 must be up to ${MAX_ATTACHMENTS} base64 images or PDFs` });
+    }
+
+    let attachmentUrls = [];
+    if (attachmentsBase64.length > 0) {
+      try {
+        attachmentUrls = await Promise.all(attachmentsBase64.map(data => uploadToCloudinary(data)));
+        console.log('Uploaded message attachments to Cloudinary:', attachmentUrls);
+      } catch (uploadError) {
+        console.error('Cloudinary attachment upload failed:', uploadError);
+        return res.status(500).json({ error: 'Failed to upload attachments to Cloudinary', details: uploadError.message });
+      }
+    }
+
+    const result = await query(
+      'INSERT INTO order_messages (order_id, sender_role, sender_user_id, body, attachment_urls) VALUES (?, ?, ?, ?, ?)',
+      [thread.orderId, thread.role, req.user ? req.user.id : null, body, attachmentUrls.length > 0 ? JSON.stringify(attachmentUrls) : null]
+    );
+    // Replying means the other side's messages have been read
+    await query(
+      'UPDATE order_messages SET read_at = NOW() WHERE order_id = ? AND sender_role <> ? AND read_at IS NULL',
+      [thread.orderId, thread.role]
+    );
+    console.log('Insert order message result:', result);
+    res.status(201).json({ message: 'Message sent', id: result.insertId, attachmentUrls });
+  } catch (error) {
+    console.error('Order message error:', error);
+    res.status(500).json({ error: 'Failed to send message', details: error.message });
+  }
+});
+
+// Mark the other side's messages as read, all of them or up to `upToId`
+router.put('/read', authenticate, async (req, res) => {
+  try {
+    const thread = await resolveThread(req);
+    if (!thread) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    const upToId = req.body && req.body.upToId !== undefined ? Number(req.body.upToId) : null;
+    if (upToId !== null && (!Number.isInteger(upToId) || upToId < 1)) {
+      return res.status(400).json({ error: 'upToId must be a positive integer' });
+    }
+    const result = await query(
+      `UPDATE order_messages SET read_at = NOW()
+       WHERE order_id = ? AND sender_role <> ? AND read_at IS NULL${upToId ? ' AND id <= ?' : ''}`,
+      [thread.orderId, thread.role, ...(upToId ? [upToId] : [])]
+    );
+    res.json({ message: 'Messages marked as read', marked: result.affectedRows });
+  } catch (error) {
+    console.error('Order messages read error:', error);
+    res.status(500).json({ error: 'Failed to mark messages as read', details: error.message });
+  }
+});
+
+module.exports = router;
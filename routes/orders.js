@@ -1,20 +1,92 @@
 const express = require('express');
-const { query, pool } = require('../utils/db');
-const { authenticate, restrictTo } = require('../utils/auth');
+const { query, transaction } = require('../utils/db');
+const { assignUnitsToOrder } = require('../utils/inventoryUnits');
+const { buildOrderQuote } = require('../utils/orderQuote');
+const { lockProducts } = require('../utils/bundles');
+const { calculateLateFee } = require('../utils/lateFees');
+const { ORDER_STATUSES, ITEM_DRIVEN_STATUSES, recordStatusChange, transitionOrder, getStatusHistory } = require('../utils/orderStatus');
+const { cancelOrder } = require('../utils/cancellation');
+const { HANDOVER_TYPES, MAX_HANDOVER_PHOTOS, parseJsonList, parseHandoverInput, getHandoversByOrder } = require('../utils/handovers');
+const { uploadToCloudinary } = require('../utils/cloudinary');
+const { buildInvoicePdf } = require('../utils/invoices');
+const { buildOrderListQuery } = require('../utils/orderListing');
+const { findClaimableOrders, issueClaimCode, verifyClaimCode, claimGuestOrders } = require('../utils/orderClaims');
+const { findOrderById, findOrderBySecretKey, findOrdersByUser, findOrdersByIds } = require('../utils/orderRepository');
+const { authenticate, restrictTo, ownsOrder } = require('../utils/auth');
 const router = express.Router();
 
+const DEPOSIT_OUTCOMES = ['refunded', 'partially_withheld', 'forfeited'];
+// Deposits are settled once everything has come back
+const DEPOSIT_SETTLEABLE_STATUSES = ['returned', 'completed'];
+const PAYMENT_STATUSES = ['unpaid', 'paid', 'refunded'];
+
 // Generate a UUID for secret key
 const generateSecretKey = () => {
   return require('crypto').randomUUID();
 };
 
+// Lock every product an order touches (bundle components included) so
+// concurrent checkouts for the same stock are serialized. Must be the first
+// thing in the transaction: the cart rows are read with FOR UPDATE so no
+// plain read fixes the snapshot before the product locks are held.
+const lockOrderProducts = async (cartItems, txQuery) => {
+  const productIds = cartItems.map(item => parseInt(item.productId)).filter(Boolean);
+  const cartIds = cartItems.map(item => parseInt(item.cartId)).filter(Boolean);
+  if (cartIds.length > 0) {
+    const cartRows = await txQuery(`SELECT product_id FROM cart WHERE id IN (${cartIds.map(() => '?').join(', ')}) FOR UPDATE`, cartIds);
+    productIds.push(...cartRows.map(row => row.product_id));
+  }
+  await lockProducts(productIds, txQuery);
+};
+
+// Fulfillment choice from an order or quote body (see utils/delivery.js)
+const readFulfillment = body => ({
+  method: body.fulfillmentMethod || 'pickup',
+  postcode: body.deliveryPostcode,
+  latitude: body.deliveryLatitude,
+  longitude: body.deliveryLongitude,
+  deliverySlotId: body.deliverySlotId,
+  collectionSlotId: body.collectionSlotId,
+});
+
+// Price an order without placing it; same payload as POST /api/orders
+router.post('/quote', authenticate, async (req, res) => {
+  try {
+    const { cartItems, guestSessionId, email, couponCode, allowPartial = false } = req.body;
+    const userId = req.user ? req.user.id : null;
+    const fulfillment = readFulfillment(req.body);
+
+    console.log('POST /api/orders/quote:', { userId, guestSessionId, cartItems, couponCode, fulfillment });
+
+    if (!Array.isArray(cartItems) || cartItems.length === 0) {
+      return res.status(400).json({ error: 'At least one cart item is required' });
+    }
+    if (!userId && !guestSessionId && cartItems.some(item => item.cartId)) {
+      return res.status(400).json({ error: 'User ID or guest session ID required' });
+    }
+
+    // Placement matches per-customer coupon limits on the account email, so the quote must too
+    let quoteEmail = email;
+    if (userId) {
+      const [user] = await query('SELECT email FROM users WHERE id = ?', [userId]);
+      quoteEmail = user ? user.email : null;
+    }
+
+    const quote = await buildOrderQuote({ cartItems, userId, guestSessionId, email: quoteEmail, couponCode, allowPartial, fulfillment });
+    res.json(quote);
+  } catch (error) {
+    console.error('Order quote error:', error);
+    res.status(error.status || 500).json({ error: 'Failed to quote order', details: error.message });
+  }
+});
+
 // Place an order with multiple cart items
 router.post('/', authenticate, async (req, res) => {
   try {
-    const { cartItems, guestSessionId, name, email, address, phone } = req.body;
+    const { cartItems, guestSessionId, name, email, address, phone, couponCode, allowPartial = false } = req.body;
     const userId = req.user ? req.user.id : null;
 
-    console.log('POST /api/orders:', { userId, guestSessionId, cartItems, name, email, address, phone });
+    console.log('POST /api/orders:', { userId, guestSessionId, cartItems, name, email, address, phone, couponCode });
 
     if (!Array.isArray(cartItems) || cartItems.length === 0) {
       return res.status(400).json({ error: 'At least one cart item is required' });
@@ -24,6 +96,11 @@ router.post('/', authenticate, async (req, res) => {
       return res.status(400).json({ error: 'User ID or guest session ID required' });
     }
 
+    const fulfillment = readFulfillment(req.body);
+    if (fulfillment.method === 'delivery' && (!fulfillment.deliverySlotId || !fulfillment.collectionSlotId)) {
+      return res.status(400).json({ error: 'Delivery orders need a deliverySlotId and a collectionSlotId' });
+    }
+
     let orderName, orderEmail, orderAddress, orderPhone, secretKey;
 
     if (userId) {
@@ -53,76 +130,79 @@ router.post('/', authenticate, async (req, res) => {
       secretKey = generateSecretKey(); // Generate secret key for guest orders
     }
 
-    await pool.query('START TRANSACTION');
-
     try {
-      const orderResult = await query(
-        'INSERT INTO orders (user_id, guest_session_id, name, email, address, phone, status, secret_key) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-        [userId, userId ? null : guestSessionId, orderName, orderEmail, orderAddress, orderPhone, 'pending', secretKey || null]
-      );
-      const orderId = orderResult.insertId;
-      console.log('Insert order result:', orderResult);
-
-      for (const { cartId, productId, start_date, end_date, quantity } of cartItems) {
-        let cartItem = null;
-        if (cartId) {
-          // Fetch cart item if cartId is provided
-          const queryStr = userId
-            ? 'SELECT c.*, p.name AS product_name, p.price_per_day, p.image_url FROM cart c JOIN products p ON c.product_id = p.id WHERE c.id = ? AND c.user_id = ?'
-            : 'SELECT c.*, p.name AS product_name, p.price_per_day, p.image_url FROM cart c JOIN products p ON c.product_id = p.id WHERE c.id = ? AND c.guest_session_id = ?';
-          const params = userId ? [cartId, userId] : [cartId, guestSessionId];
-          const [item] = await query(queryStr, params);
-          cartItem = item;
-          console.log('Cart item query result:', cartItem);
-          if (!cartItem) {
-            throw new Error(`Cart item ${cartId} not found or does not belong to user`);
-          }
+      const { orderId, quote } = await transaction(async (txQuery) => {
+        await lockOrderProducts(cartItems, txQuery);
+        const quote = await buildOrderQuote({ cartItems, userId, guestSessionId, email: orderEmail, couponCode, allowPartial, fulfillment, lockSlots: true }, txQuery);
+        const delivery = quote.fulfillment;
+        if (delivery.method === 'delivery' && (!orderAddress || orderAddress === 'Not provided')) {
+          const noAddress = new Error('Delivery orders need an address');
+          noAddress.status = 400;
+          throw noAddress;
         }
 
-        const [product] = await query('SELECT id, price_per_day FROM products WHERE id = ? AND available = TRUE', [productId]);
-        console.log('Product query result:', product);
-        if (!product) {
-          throw new Error(`Product ${productId} not found or unavailable`);
-        }
-
-        const startDate = cartItem ? cartItem.start_date : start_date;
-        const endDate = cartItem ? cartItem.end_date : end_date;
-        const qty = cartItem ? cartItem.quantity : quantity;
+        const orderResult = await txQuery(
+          `INSERT INTO orders (user_id, guest_session_id, name, email, address, fulfillment_method, delivery_postcode, delivery_latitude, delivery_longitude,
+                               delivery_distance_km, delivery_zone_id, delivery_slot_id, collection_slot_id, phone, status, secret_key,
+                               subtotal, addons_total, delivery_fee, discount_total, tax_total, deposit_total, total_amount, deposit_status)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [userId, userId ? null : guestSessionId, orderName, orderEmail, orderAddress, delivery.method, delivery.postcode, delivery.latitude, delivery.longitude,
+            delivery.distanceKm, delivery.zone ? delivery.zone.id : null, delivery.deliverySlot ? delivery.deliverySlot.id : null,
+            delivery.collectionSlot ? delivery.collectionSlot.id : null, orderPhone, 'pending', secretKey || null,
+            quote.subtotal, quote.addonsTotal, quote.deliveryFee, quote.discountTotal, quote.taxTotal, quote.depositTotal, quote.total, quote.depositTotal > 0 ? 'held' : 'none']
+        );
+        const orderId = orderResult.insertId;
+        console.log('Insert order result:', orderResult);
+        await recordStatusChange({ orderId, toStatus: 'pending', actorId: userId, actorRole: req.user ? req.user.role : 'guest', note: 'Order placed' }, txQuery);
 
-        if (!startDate || !endDate || !qty) {
-          throw new Error('Missing required fields: start_date, end_date, quantity');
-        }
+        for (const item of quote.items) {
+          const itemResult = await txQuery(
+            'INSERT INTO order_items (order_id, product_id, product_name, product_image_url, start_date, end_date, quantity, price_per_day, total_price, pricing_tier, deposit_amount) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+            [orderId, item.product_id, item.product_name, item.image_url, item.start_date, item.end_date, item.quantity, item.unit_rate, item.subtotal, item.pricing_tier, item.deposit]
+          );
 
-        const start = new Date(startDate);
-        const end = new Date(endDate);
-        if (isNaN(start.getTime()) || isNaN(end.getTime()) || start >= end) {
-          throw new Error('Invalid date range');
-        }
+          // Add-ons are snapshotted on the line with the price they were sold at
+          for (const addon of item.addons) {
+            await txQuery(
+              'INSERT INTO order_item_addons (order_item_id, addon_id, name, pricing_type, price, amount) VALUES (?, ?, ?, ?, ?, ?)',
+              [itemResult.insertId, addon.addon_id, addon.name, addon.pricing_type, addon.price, addon.amount]
+            );
+          }
 
-        const days = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
-        const totalPrice = days * product.price_per_day * qty;
+          // Bundle components are stored as unpriced child items so they hold
+          // component stock and can be assigned units like any other line
+          for (const component of item.components) {
+            await txQuery(
+              `INSERT INTO order_items (order_id, parent_item_id, product_id, product_name, product_image_url, start_date, end_date, quantity, price_per_day, total_price, pricing_tier, deposit_amount)
+               VALUES (?, ?, ?, ?, (SELECT image_url FROM products WHERE id = ?), ?, ?, ?, 0, 0, ?, 0)`,
+              [orderId, itemResult.insertId, component.product_id, component.product_name, component.product_id, component.start_date, component.end_date, component.quantity, 'bundle_component']
+            );
+          }
 
-        await query(
-          'INSERT INTO order_items (order_id, product_id, start_date, end_date, quantity, price_per_day, total_price) VALUES (?, ?, ?, ?, ?, ?, ?)',
-          [orderId, product.id, startDate, endDate, qty, product.price_per_day, totalPrice]
-        );
+          if (item.cart_id) {
+            const deleteQuery = userId
+              ? 'DELETE FROM cart WHERE id = ? AND user_id = ?'
+              : 'DELETE FROM cart WHERE id = ? AND guest_session_id = ?';
+            const deleteParams = userId ? [item.cart_id, userId] : [item.cart_id, guestSessionId];
+            await txQuery(deleteQuery, deleteParams);
+          }
+        }
 
-        if (cartId) {
-          const deleteQuery = userId
-            ? 'DELETE FROM cart WHERE id = ? AND user_id = ?'
-            : 'DELETE FROM cart WHERE id = ? AND guest_session_id = ?';
-          const deleteParams = userId ? [cartId, userId] : [cartId, guestSessionId];
-          await query(deleteQuery, deleteParams);
+        if (quote.coupon) {
+          await txQuery(
+            'INSERT INTO coupon_redemptions (coupon_id, order_id, user_id, email, discount_amount) VALUES (?, ?, ?, ?, ?)',
+            [quote.coupon.id, orderId, userId, orderEmail, quote.coupon.discount]
+          );
         }
-      }
 
-      await pool.query('COMMIT');
-      console.log('Order placed successfully:', { orderId, secretKey });
-      res.json({ message: 'Order placed successfully', orderId, secretKey });
+        return { orderId, quote };
+      });
+
+      console.log('Order placed successfully:', { orderId, secretKey, total: quote.total, adjustedItems: quote.adjustedItems });
+      res.json({ message: 'Order placed successfully', orderId, secretKey, adjustedItems: quote.adjustedItems, quote });
     } catch (error) {
-      await pool.query('ROLLBACK');
       console.error('Order transaction error:', error);
-      res.status(500).json({ error: 'Failed to place order', details: error.message });
+      res.status(error.status || 500).json({ error: 'Failed to place order', details: error.message });
     }
   } catch (error) {
     console.error('Order creation error:', error);
@@ -133,284 +213,715 @@ router.post('/', authenticate, async (req, res) => {
 // Track an order by secret key (for guest users)
 router.get('/track/:secretKey', async (req, res) => {
   try {
-    const { secretKey } = req.params;
-    const [order] = await query(
-      `SELECT o.*, 
-              GROUP_CONCAT(
-                CONCAT(
-                  oi.product_id, ':',
-                  COALESCE(REPLACE(p.name, ':', '::'), 'Unknown'), ':',
-                  COALESCE(oi.start_date, ''), ':',
-                  COALESCE(oi.end_date, ''), ':',
-                  oi.quantity, ':',
-                  oi.price_per_day, ':',
-                  oi.total_price, ':',
-                  COALESCE(p.image_url, '')
-                )
-                SEPARATOR '|||'
-              ) AS items
-       FROM orders o
-       LEFT JOIN order_items oi ON o.id = oi.order_id
-       LEFT JOIN products p ON oi.product_id = p.id
-       WHERE o.secret_key = ?
-       GROUP BY o.id`,
-      [secretKey]
-    );
-
+    const order = await findOrderBySecretKey(req.params.secretKey);
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
 
-    const formattedOrder = {
-      ...order,
-      items: order.items
-        ? order.items.split('|||').map(item => {
-            const parts = item.split(':');
-            if (parts.length < 7) {
-              console.warn('Invalid item format:', { item, orderId: order.id });
-              return null;
-            }
-            let [product_id, name, start_date, end_date, quantity, price_per_day, total_price, ...imageParts] = parts;
-            const image_url = imageParts.join(':');
-            name = name.replace('::', ':').replace(/[^a-zA-Z0-9\s-_]/g, '');
-            if (!name || name.trim() === '') {
-              console.warn('Invalid product name:', { name, item, orderId: order.id });
-              return null;
-            }
-            const isValidUrl = image_url && image_url.startsWith('http');
-            return {
-              product_id: parseInt(product_id) || 0,
-              product_name: name,
-              start_date: start_date || null,
-              end_date: end_date || null,
-              quantity: parseInt(quantity) || 0,
-              price_per_day: parseFloat(price_per_day) || 0,
-              total_price: parseFloat(total_price) || 0,
-              image_url: isValidUrl ? image_url : null,
-            };
-          }).filter(item => item !== null && item.product_id && item.product_name)
-        : [],
-    };
-
-    console.log('Fetched order by secret key:', formattedOrder);
-    res.json(formattedOrder);
+    order.status_history = await getStatusHistory(order.id);
+    console.log('Fetched order by secret key:', { orderId: order.id, items: order.items.length });
+    res.json(order);
   } catch (error) {
     console.error('Track order error:', error);
     res.status(500).json({ error: 'Failed to track order', details: error.message });
   }
 });
 
+// Send an order's invoice as a PDF, issuing its number on first download.
+// `findOrderId` resolves the order the caller may see, or null.
+const sendInvoice = async (req, res, findOrderId) => {
+  try {
+    const orderId = await findOrderId();
+    if (!orderId) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    const { invoice, pdf } = await buildInvoicePdf(orderId);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="${invoice.invoice_number}.pdf"`,
+      'Content-Length': pdf.length,
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Invoice error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to generate invoice', details: error.message });
+  }
+};
+
+// Invoice of a guest order by secret key
+router.get('/track/:secretKey/invoice.pdf', async (req, res) => {
+  await sendInvoice(req, res, async () => {
+    const [order] = await query('SELECT id FROM orders WHERE secret_key = ?', [req.params.secretKey]);
+    return order ? order.id : null;
+  });
+});
+
+// Customer cancellation under config.cancellation, shared by the owner and
+// guest routes. `where`/`params` select the order the caller may cancel.
+const cancelForCustomer = async (req, res, where, params, actor) => {
+  try {
+    const reason = req.body && req.body.reason ? String(req.body.reason).slice(0, 1000) : null;
+    const cancellation = await transaction(async (txQuery) => {
+      const [order] = await txQuery(`SELECT id FROM orders WHERE ${where}`, params);
+      if (!order) {
+        const notFound = new Error('Order not found');
+        notFound.status = 404;
+        throw notFound;
+      }
+      return cancelOrder(order.id, { ...actor, reason, applyFee: true }, txQuery);
+    });
+
+    console.log('Order cancelled by customer:', cancellation);
+    res.json({ message: 'Order cancelled', cancellation });
+  } catch (error) {
+    console.error('Cancel order error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to cancel order', details: error.message });
+  }
+};
+
+// Cancel a guest order by secret key
+router.post('/track/:secretKey/cancel', async (req, res) => {
+  await cancelForCustomer(req, res, 'secret_key = ?', [req.params.secretKey], { actorRole: 'guest' });
+});
+
+// Cancel one of the current user's orders (authenticated)
+router.post('/:id/cancel', authenticate, async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Log in to cancel an order, or use the tracking link for guest orders' });
+  }
+  await cancelForCustomer(req, res, 'id = ? AND user_id = ?', [req.params.id, req.user.id], { actorId: req.user.id, actorRole: req.user.role });
+});
+
+// The logged-in user with the email their guest orders are matched on
+const requireAccount = async (req, res) => {
+  if (!req.user) {
+    res.status(401).json({ error: 'Log in to link guest orders to your account' });
+    return null;
+  }
+  const [user] = await query('SELECT id, email FROM users WHERE id = ?', [req.user.id]);
+  if (!user) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+  return user;
+};
+
+// Guest orders placed with the current user's email that can be claimed
+// (authenticated). Account emails are unverified, so the list is only shown
+// with a valid `?code=` from POST /claim/code; the code stays usable for POST /claim.
+router.get('/claimable', authenticate, async (req, res) => {
+  try {
+    const user = await requireAccount(req, res);
+    if (!user) return;
+    if (!req.query.code) {
+      return res.status(400).json({ error: 'Provide the emailed code to list claimable orders' });
+    }
+    await verifyClaimCode(user, req.query.code, { burn: false });
+    const orders = await findClaimableOrders(user.email);
+    res.json({ count: orders.length, orders });
+  } catch (error) {
+    console.error('Fetch claimable orders error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to fetch claimable orders', details: error.message });
+  }
+});
+
+// Email the current user a code to claim their guest orders (authenticated).
+// The answer does not say whether any guest orders exist.
+router.post('/claim/code', authenticate, async (req, res) => {
+  try {
+    const user = await requireAccount(req, res);
+    if (!user) return;
+    await issueClaimCode(user);
+    res.json({ message: `If guest orders were placed with ${user.email}, a claim code was sent to it` });
+  } catch (error) {
+    console.error('Claim code error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to send claim code', details: error.message });
+  }
+});
+
+// Move guest orders placed with the current user's email into their account
+// (authenticated). Ownership is proven with the order's `secretKey`, or with
+// a `code` from POST /claim/code, optionally limited to `orderIds`.
+router.post('/claim', authenticate, async (req, res) => {
+  try {
+    const user = await requireAccount(req, res);
+    if (!user) return;
+    const { secretKey, code, orderIds } = req.body;
+    console.log('POST /api/orders/claim:', { userId: user.id, bySecretKey: !!secretKey, byCode: !!code, orderIds });
+    if (!secretKey && !code) {
+      return res.status(400).json({ error: 'Provide the order secretKey or an emailed code' });
+    }
+    if (orderIds !== undefined && !Array.isArray(orderIds)) {
+      return res.status(400).json({ error: 'orderIds must be an array' });
+    }
+
+    const method = secretKey ? 'secret_key' : 'email_code';
+    if (method === 'email_code') {
+      await verifyClaimCode(user, code);
+    }
+    const claim = await transaction(txQuery => claimGuestOrders({ user, method, secretKey, orderIds, ipAddress: req.ip }, txQuery));
+
+    console.log('Claimed guest orders:', { userId: user.id, ...claim });
+    res.json({ message: `${claim.orderIds.length} order(s) added to your account`, ...claim });
+  } catch (error) {
+    console.error('Claim orders error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to claim orders', details: error.message });
+  }
+});
+
 // Get current user's orders (authenticated)
 router.get('/my-orders', authenticate, async (req, res) => {
   try {
-    const orders = await query(
-      `SELECT o.*, 
-              GROUP_CONCAT(
-                CONCAT(
-                  oi.product_id, ':',
-                  COALESCE(REPLACE(p.name, ':', '::'), 'Unknown'), ':',
-                  COALESCE(oi.start_date, ''), ':',
-                  COALESCE(oi.end_date, ''), ':',
-                  oi.quantity, ':',
-                  oi.price_per_day, ':',
-                  oi.total_price, ':',
-                  COALESCE(p.image_url, '')
-                )
-                SEPARATOR '|||'
-              ) AS items
-       FROM orders o
-       LEFT JOIN order_items oi ON o.id = oi.order_id
-       LEFT JOIN products p ON oi.product_id = p.id
-       WHERE o.user_id = ?
-       GROUP BY o.id
-       ORDER BY o.created_at DESC`,
-      [req.user.id]
-    );
-
-    const formattedOrders = orders.map(order => ({
-      ...order,
-      items: order.items
-        ? order.items.split('|||').map(item => {
-            const parts = item.split(':');
-            if (parts.length < 7) {
-              console.warn('Invalid item format:', { item, orderId: order.id });
-              return null;
-            }
-            let [product_id, name, start_date, end_date, quantity, price_per_day, total_price, ...imageParts] = parts;
-            const image_url = imageParts.join(':');
-            name = name.replace('::', ':').replace(/[^a-zA-Z0-9\s-_]/g, '');
-            if (!name || name.trim() === '') {
-              console.warn('Invalid product name:', { name, item, orderId: order.id });
-              return null;
-            }
-            const isValidUrl = image_url && image_url.startsWith('http');
-            return {
-              product_id: parseInt(product_id) || 0,
-              product_name: name,
-              start_date: start_date || null,
-              end_date: end_date || null,
-              quantity: parseInt(quantity) || 0,
-              price_per_day: parseFloat(price_per_day) || 0,
-              total_price: parseFloat(total_price) || 0,
-              image_url: isValidUrl ? image_url : null,
-            };
-          }).filter(item => item !== null && item.product_id && item.product_name)
-        : [],
-    }));
-
-    console.log('Fetched user orders:', formattedOrders);
-    res.json(formattedOrders);
+    const orders = await findOrdersByUser(req.user.id);
+    console.log('Fetched user orders:', orders.length);
+    res.json(orders);
   } catch (error) {
     console.error('Fetch user orders error:', error);
     res.status(500).json({ error: 'Failed to fetch orders', details: error.message });
   }
 });
 
-// Get orders for a specific user (admin only)
+// One page of orders with their items, for the admin listings.
+// Filters, sorting and paging come from the query string (utils/orderListing.js).
+const listOrders = async (req, res, scope = {}) => {
+  const listQuery = buildOrderListQuery(req.query, scope);
+  if (listQuery.error) {
+    return res.status(400).json({ error: listQuery.error });
+  }
+  const { where, values, orderBy, limit, page, pageSize } = listQuery;
+
+  const [{ total }] = await query(`SELECT COUNT(*) AS total FROM orders o ${where}`, values);
+  const pageIds = (await query(`SELECT o.id FROM orders o ${where} ${orderBy} ${limit}`, values)).map(row => row.id);
+  const orders = await findOrdersByIds(pageIds);
+
+  const totalCount = parseInt(total) || 0;
+  return res.json({
+    orders,
+    pagination: { page, pageSize, total: totalCount, totalPages: Math.ceil(totalCount / pageSize) },
+  });
+};
+
+// Get orders for a specific user (admin only), paginated and filterable like GET /
 router.get('/user/:userId', authenticate, restrictTo('admin'), async (req, res) => {
   try {
-    const { userId } = req.params;
-    const orders = await query(
-      `SELECT o.*, 
-              GROUP_CONCAT(
-                CONCAT(
-                  oi.product_id, ':',
-                  COALESCE(REPLACE(p.name, ':', '::'), 'Unknown'), ':',
-                  COALESCE(oi.start_date, ''), ':',
-                  COALESCE(oi.end_date, ''), ':',
-                  oi.quantity, ':',
-                  oi.price_per_day, ':',
-                  oi.total_price, ':',
-                  COALESCE(p.image_url, '')
-                )
-                SEPARATOR '|||'
-              ) AS items
-       FROM orders o
-       LEFT JOIN order_items oi ON o.id = oi.order_id
-       LEFT JOIN products p ON oi.product_id = p.id
-       WHERE o.user_id = ?
-       GROUP BY o.id
-       ORDER BY o.created_at DESC`,
-      [userId]
-    );
-
-    const formattedOrders = orders.map(order => ({
-      ...order,
-      items: order.items
-        ? order.items.split('|||').map(item => {
-            const parts = item.split(':');
-            if (parts.length < 7) {
-              console.warn('Invalid item format:', { item, orderId: order.id });
-              return null;
-            }
-            let [product_id, name, start_date, end_date, quantity, price_per_day, total_price, ...imageParts] = parts;
-            const image_url = imageParts.join(':');
-            name = name.replace('::', ':').replace(/[^a-zA-Z0-9\s-_]/g, '');
-            if (!name || name.trim() === '') {
-              console.warn('Invalid product name:', { name, item, orderId: order.id });
-              return null;
-            }
-            const isValidUrl = image_url && image_url.startsWith('http');
-            return {
-              product_id: parseInt(product_id) || 0,
-              product_name: name,
-              start_date: start_date || null,
-              end_date: end_date || null,
-              quantity: parseInt(quantity) || 0,
-              price_per_day: parseFloat(price_per_day) || 0,
-              total_price: parseFloat(total_price) || 0,
-              image_url: isValidUrl ? image_url : null,
-            };
-          }).filter(item => item !== null && item.product_id && item.product_name)
-        : [],
-    }));
-
-    console.log('Fetched orders for user:', { userId, orders: formattedOrders });
-    res.json(formattedOrders);
+    const userId = Number(req.params.userId);
+    if (!Number.isInteger(userId) || userId < 1) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+    console.log('GET /api/orders/user/:userId:', { userId, query: req.query });
+    await listOrders(req, res, { userId });
   } catch (error) {
     console.error('Fetch user orders error:', error);
     res.status(500).json({ error: 'Failed to fetch user orders', details: error.message });
   }
 });
 
-// Get all orders (admin only)
+// Get orders (admin only), one page at a time with a total count. See
+// utils/orderListing.js for the filters and sort options.
 router.get('/', authenticate, restrictTo('admin'), async (req, res) => {
   try {
-    const orders = await query(
-      `SELECT o.*, 
-              GROUP_CONCAT(
-                CONCAT(
-                  oi.product_id, ':',
-                  COALESCE(REPLACE(p.name, ':', '::'), 'Unknown'), ':',
-                  COALESCE(oi.start_date, ''), ':',
-                  COALESCE(oi.end_date, ''), ':',
-                  oi.quantity, ':',
-                  oi.price_per_day, ':',
-                  oi.total_price, ':',
-                  COALESCE(p.image_url, '')
-                )
-                SEPARATOR '|||'
-              ) AS items
-       FROM orders o
-       LEFT JOIN order_items oi ON o.id = oi.order_id
-       LEFT JOIN products p ON oi.product_id = p.id
-       GROUP BY o.id
-       ORDER BY o.created_at DESC`
-    );
-    const formattedOrders = orders.map(order => ({
-      ...order,
-      items: order.items
-        ? order.items.split('|||').map(item => {
-            const parts = item.split(':');
-            if (parts.length < 7) {
-              console.warn('Invalid item format:', { item, orderId: order.id });
-              return null;
-            }
-            let [product_id, name, start_date, end_date, quantity, price_per_day, total_price, ...imageParts] = parts;
-            const image_url = imageParts.join(':');
-            name = name.replace('::', ':').replace(/[^a-zA-Z0-9\s-_]/g, '');
-            if (!name || name.trim() === '') {
-              console.warn('Invalid product name:', { name, item, orderId: order.id });
-              return null;
-            }
-            const isValidUrl = image_url && image_url.startsWith('http');
-            return {
-              product_id: parseInt(product_id) || 0,
-              product_name: name,
-              start_date: start_date || null,
-              end_date: end_date || null,
-              quantity: parseInt(quantity) || 0,
-              price_per_day: parseFloat(price_per_day) || 0,
-              total_price: parseFloat(total_price) || 0,
-              image_url: isValidUrl ? image_url : null,
-            };
-          }).filter(item => item !== null && item.product_id && item.product_name)
-        : [],
-    }));
-    console.log('Fetched all orders:', formattedOrders);
-    res.json(formattedOrders);
+    console.log('GET /api/orders:', req.query);
+    await listOrders(req, res);
   } catch (error) {
     console.error('Fetch all orders error:', error);
     res.status(500).json({ error: 'Failed to fetch orders', details: error.message });
   }
 });
 
-// Update order status (admin only)
-router.put('/:id', authenticate, restrictTo('admin'), async (req, res) => {
+// Order item joined with the product's late fee overrides
+const ORDER_ITEM_WITH_LATE_POLICY_SQL = `
+  SELECT oi.*, p.name AS product_name, p.late_fee_per_day, p.late_fee_grace_hours, p.late_fee_cap
+  FROM order_items oi
+  JOIN products p ON oi.product_id = p.id`;
+
+// Lock the order before touching its items and check the lifecycle allows
+// `action` in its current status
+const lockOrderForItemUpdate = async (orderId, allowedStatuses, action, txQuery) => {
+  const [order] = await txQuery('SELECT id, status FROM orders WHERE id = ? FOR UPDATE', [orderId]);
+  if (!order) {
+    const notFound = new Error('Order not found');
+    notFound.status = 404;
+    throw notFound;
+  }
+  if (!allowedStatuses.includes(order.status)) {
+    const conflict = new Error(`Cannot record ${action} on a ${order.status} order`);
+    conflict.status = 409;
+    throw conflict;
+  }
+  return order;
+};
+
+// Move the order on once every line (bundle components follow their bundle)
+// has the given timestamp, e.g. picked_up once everything has been picked up
+const advanceWhenAllItems = async (order, column, toStatus, req, txQuery) => {
+  const [pending] = await txQuery(
+    `SELECT COUNT(*) AS count FROM order_items WHERE order_id = ? AND parent_item_id IS NULL AND ${column} IS NULL`,
+    [order.id]
+  );
+  if ((parseInt(pending.count) || 0) === 0 && order.status !== toStatus) {
+    await transitionOrder(order.id, toStatus, { actorId: req.user.id, actorRole: req.user.role, note: `All items ${toStatus.replace('_', ' ')}` }, txQuery);
+    return toStatus;
+  }
+  return order.status;
+};
+
+// Items past their end_date that have not come back (admin only), with the late fee accrued so far
+router.get('/overdue', authenticate, restrictTo('admin'), async (req, res) => {
   try {
-    const { status } = req.body;
-    if (!['pending', 'approved', 'completed', 'cancelled'].includes(status)) {
-      return res.status(400).json({ error: 'Invalid status' });
+    const items = await query(
+      `SELECT oi.*, p.name AS product_name, p.late_fee_per_day, p.late_fee_grace_hours, p.late_fee_cap,
+              o.status AS order_status, o.user_id, o.name, o.email, o.phone
+       FROM order_items oi
+       JOIN products p ON oi.product_id = p.id
+       JOIN orders o ON oi.order_id = o.id
+       WHERE oi.returned_at IS NULL AND oi.end_date < CURDATE()
+         AND oi.parent_item_id IS NULL
+         AND o.status IN ('approved', 'picked_up')
+       ORDER BY oi.end_date ASC`
+    );
+    const now = new Date();
+    const overdue = items.map(({ late_fee_per_day, late_fee_grace_hours, late_fee_cap, ...item }) => {
+      const lateFee = calculateLateFee({ ...item, late_fee_per_day, late_fee_grace_hours, late_fee_cap }, now);
+      return { ...item, late_days: lateFee.lateDays, accrued_late_fee: lateFee.amount };
+    });
+    console.log('Fetched overdue items:', overdue.length);
+    res.json(overdue);
+  } catch (error) {
+    console.error('Fetch overdue items error:', error);
+    res.status(500).json({ error: 'Failed to fetch overdue items', details: error.message });
+  }
+});
+
+// Record the actual pickup time of an order item (admin only); assigned units
+// go out. Picking up a bundle picks up its components with it.
+router.put('/:id/items/:itemId/pickup', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    // req.body is undefined when the request has no JSON body
+    const body = req.body || {};
+    const pickedUpAt = body.pickedUpAt ? new Date(body.pickedUpAt) : new Date();
+    if (isNaN(pickedUpAt.getTime())) {
+      return res.status(400).json({ error: 'Invalid pickedUpAt' });
     }
-    const result = await query('UPDATE orders SET status = ? WHERE id = ?', [status, req.params.id]);
-    console.log('Update order status result:', result);
-    if (!result || result.affectedRows === 0) {
+
+    const { item, orderStatus } = await transaction(async (txQuery) => {
+      const order = await lockOrderForItemUpdate(req.params.id, ['approved', 'picked_up'], 'a pickup', txQuery);
+      const [orderItem] = await txQuery(
+        'SELECT * FROM order_items WHERE id = ? AND order_id = ? FOR UPDATE',
+        [req.params.itemId, req.params.id]
+      );
+      if (!orderItem) {
+        const notFound = new Error('Order item not found');
+        notFound.status = 404;
+        throw notFound;
+      }
+      if (orderItem.parent_item_id) {
+        const componentItem = new Error(`Bundle components are picked up with their bundle (order item ${orderItem.parent_item_id})`);
+        componentItem.status = 400;
+        throw componentItem;
+      }
+      await txQuery('UPDATE order_items SET picked_up_at = ? WHERE id = ? OR parent_item_id = ?', [pickedUpAt, orderItem.id, orderItem.id]);
+      await txQuery(
+        `UPDATE inventory_units SET status = 'out'
+         WHERE status = 'in_stock' AND id IN (
+           SELECT oiu.unit_id FROM order_item_units oiu
+           JOIN order_items oi ON oiu.order_item_id = oi.id
+           WHERE oi.id = ? OR oi.parent_item_id = ?)`,
+        [orderItem.id, orderItem.id]
+      );
+      const orderStatus = await advanceWhenAllItems(order, 'picked_up_at', 'picked_up', req, txQuery);
+      return { item: { ...orderItem, picked_up_at: pickedUpAt }, orderStatus };
+    });
+
+    console.log('Recorded pickup:', { orderItemId: item.id, pickedUpAt, orderStatus });
+    res.json({ message: 'Pickup recorded', item, orderStatus });
+  } catch (error) {
+    console.error('Record pickup error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to record pickup', details: error.message });
+  }
+});
+
+// Record the actual return time of an order item (admin only). Computes the
+// late fee, attaches it to the order as a charge and puts the units back in
+// stock. A bundle is returned as a whole, components included.
+router.put('/:id/items/:itemId/return', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const returnedAt = body.returnedAt ? new Date(body.returnedAt) : new Date();
+    if (isNaN(returnedAt.getTime())) {
+      return res.status(400).json({ error: 'Invalid returnedAt' });
+    }
+
+    const { item, lateFee, orderStatus } = await transaction(async (txQuery) => {
+      const order = await lockOrderForItemUpdate(req.params.id, ['picked_up', 'returned'], 'a return', txQuery);
+      const [orderItem] = await txQuery(
+        `${ORDER_ITEM_WITH_LATE_POLICY_SQL} WHERE oi.id = ? AND oi.order_id = ? FOR UPDATE`,
+        [req.params.itemId, req.params.id]
+      );
+      if (!orderItem) {
+        const notFound = new Error('Order item not found');
+        notFound.status = 404;
+        throw notFound;
+      }
+      if (orderItem.parent_item_id) {
+        const componentItem = new Error(`Bundle components are returned with their bundle (order item ${orderItem.parent_item_id})`);
+        componentItem.status = 400;
+        throw componentItem;
+      }
+      if (!orderItem.picked_up_at) {
+        const notPickedUp = new Error('Order item has not been picked up');
+        notPickedUp.status = 409;
+        throw notPickedUp;
+      }
+      if (returnedAt < new Date(orderItem.picked_up_at)) {
+        const invalidReturn = new Error('returnedAt cannot be before the pickup time');
+        invalidReturn.status = 400;
+        throw invalidReturn;
+      }
+
+      const lateFee = calculateLateFee(orderItem, returnedAt);
+      await txQuery('UPDATE order_items SET returned_at = ?, late_fee = ? WHERE id = ?', [returnedAt, lateFee.amount, orderItem.id]);
+
+      // Re-recording a return replaces the earlier late fee
+      await txQuery("DELETE FROM order_charges WHERE order_item_id = ? AND charge_type = 'late_fee'", [orderItem.id]);
+      if (lateFee.amount > 0) {
+        await txQuery(
+          'INSERT INTO order_charges (order_id, order_item_id, charge_type, amount, description, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+          [orderItem.order_id, orderItem.id, 'late_fee', lateFee.amount,
+            `${orderItem.product_name}: ${lateFee.lateDays} day(s) late x ${orderItem.quantity} unit(s)`, req.user.id]
+        );
+      }
+      await txQuery(
+        'UPDATE orders SET charges_total = (SELECT COALESCE(SUM(amount), 0) FROM order_charges WHERE order_id = ?) WHERE id = ?',
+        [orderItem.order_id, orderItem.order_id]
+      );
+      await txQuery('UPDATE order_items SET returned_at = ? WHERE parent_item_id = ?', [returnedAt, orderItem.id]);
+      await txQuery(
+        `UPDATE inventory_units SET status = 'in_stock'
+         WHERE status = 'out' AND id IN (
+           SELECT oiu.unit_id FROM order_item_units oiu
+           JOIN order_items oi ON oiu.order_item_id = oi.id
+           WHERE oi.id = ? OR oi.parent_item_id = ?)`,
+        [orderItem.id, orderItem.id]
+      );
+
+      const orderStatus = await advanceWhenAllItems(order, 'returned_at', 'returned', req, txQuery);
+      return { item: { ...orderItem, returned_at: returnedAt, late_fee: lateFee.amount }, lateFee, orderStatus };
+    });
+
+    console.log('Recorded return:', { orderItemId: item.id, returnedAt, lateFee, orderStatus });
+    res.json({ message: 'Return recorded', item, lateFee, orderStatus });
+  } catch (error) {
+    console.error('Record return error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to record return', details: error.message });
+  }
+});
+
+// The order item a handover is recorded for, if it can have one: a top-level
+// line of an accepted order, and for a return one that has been picked up
+const findHandoverItem = async (orderId, itemId, type, db, { lock = false } = {}) => {
+  const [orderItem] = await db(
+    `SELECT oi.*, o.status AS order_status
+     FROM order_items oi
+     JOIN orders o ON oi.order_id = o.id
+     WHERE oi.id = ? AND oi.order_id = ?${lock ? ' FOR UPDATE' : ''}`,
+    [itemId, orderId]
+  );
+  if (!orderItem) {
+    const notFound = new Error('Order item not found');
+    notFound.status = 404;
+    throw notFound;
+  }
+  if (orderItem.parent_item_id) {
+    const componentItem = new Error(`Bundle components are handed over with their bundle (order item ${orderItem.parent_item_id})`);
+    componentItem.status = 400;
+    throw componentItem;
+  }
+  if (['pending', 'rejected', 'cancelled'].includes(orderItem.order_status)) {
+    const notHandedOver = new Error(`Cannot record a handover for a ${orderItem.order_status} order`);
+    notHandedOver.status = 409;
+    throw notHandedOver;
+  }
+  if (type === 'return' && !orderItem.picked_up_at) {
+    const notPickedUp = new Error('Order item has not been picked up');
+    notPickedUp.status = 409;
+    throw notPickedUp;
+  }
+  return orderItem;
+};
+
+// Record the pickup or return handover of an order item (admin only):
+// `checklist` ([{ label, checked, note }]), `conditionNotes`,
+// `accessoriesReturned` (returns only) and `photosBase64`, uploaded to
+// Cloudinary and added to the photos already on the record. Recording the
+// same handover again replaces everything but the photos.
+router.put('/:id/items/:itemId/handovers/:type', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    const { type } = req.params;
+    if (!HANDOVER_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Handover type must be one of ${HANDOVER_TYPES.join(', ')}` });
+    }
+    // Every field is optional, so a request may come without a JSON body
+    const body = req.body || {};
+    const { fields, error } = parseHandoverInput(body, type);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const photosBase64 = Array.isArray(body.photosBase64)
+      ? body.photosBase64.filter(base64 => typeof base64 === 'string' && base64.startsWith('data:image'))
+      : [];
+
+    // Check the item before uploading so a rejected request leaves no photos behind
+    const item = await findHandoverItem(req.params.id, req.params.itemId, type, query);
+    const [existing] = await query(
+      'SELECT photo_urls FROM order_item_handovers WHERE order_item_id = ? AND handover_type = ?',
+      [item.id, type]
+    );
+    if (parseJsonList(existing && existing.photo_urls).length + photosBase64.length > MAX_HANDOVER_PHOTOS) {
+      return res.status(400).json({ error: `A handover can have at most ${MAX_HANDOVER_PHOTOS} photos` });
+    }
+
+    let photoUrls = [];
+    if (photosBase64.length > 0) {
+      try {
+        photoUrls = await Promise.all(photosBase64.map(base64 => uploadToCloudinary(base64)));
+        console.log('Uploaded handover photos to Cloudinary:', photoUrls);
+      } catch (uploadError) {
+        console.error('Cloudinary handover upload failed:', uploadError);
+        return res.status(500).json({ error: 'Failed to upload handover photos to Cloudinary', details: uploadError.message });
+      }
+    }
+
+    const handover = await transaction(async (txQuery) => {
+      const orderItem = await findHandoverItem(req.params.id, req.params.itemId, type, txQuery, { lock: true });
+
+      const [current] = await txQuery(
+        'SELECT id, photo_urls FROM order_item_handovers WHERE order_item_id = ? AND handover_type = ? FOR UPDATE',
+        [orderItem.id, type]
+      );
+      const record = {
+        ...fields,
+        photo_urls: JSON.stringify([...parseJsonList(current && current.photo_urls), ...photoUrls].slice(0, MAX_HANDOVER_PHOTOS)),
+        recorded_by: req.user.id,
+      };
+      if (current) {
+        await txQuery(
+          `UPDATE order_item_handovers SET ${Object.keys(record).map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+          [...Object.values(record), current.id]
+        );
+      } else {
+        await txQuery(
+          `INSERT INTO order_item_handovers (order_id, order_item_id, handover_type, ${Object.keys(record).join(', ')})
+           VALUES (?, ?, ?, ${Object.keys(record).map(() => '?').join(', ')})`,
+          [orderItem.order_id, orderItem.id, type, ...Object.values(record)]
+        );
+      }
+      const handoversByOrder = await getHandoversByOrder([orderItem.order_id], txQuery);
+      return handoversByOrder.get(orderItem.order_id).find(entry => entry.order_item_id === orderItem.id && entry.handover_type === type);
+    });
+
+    console.log('Recorded handover:', handover);
+    res.json({ message: `${type === 'pickup' ? 'Pickup' : 'Return'} handover recorded`, handover });
+  } catch (error) {
+    console.error('Record handover error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to record handover', details: error.message });
+  }
+});
+
+// Settle an order's security deposit on return (admin only). `outcome` is
+// 'refunded' (full refund), 'partially_withheld' (withheldAmount + reason) or
+// 'forfeited' (reason). A deposit can only be settled once, after the order
+// has been returned.
+router.post('/:id/deposit-settlement', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    const { outcome, withheldAmount, reason } = req.body;
+    console.log('POST /api/orders/:id/deposit-settlement:', { orderId: req.params.id, outcome, withheldAmount, reason });
+
+    if (!DEPOSIT_OUTCOMES.includes(outcome)) {
+      return res.status(400).json({ error: `outcome must be one of ${DEPOSIT_OUTCOMES.join(', ')}` });
+    }
+    if (outcome !== 'refunded' && !reason) {
+      return res.status(400).json({ error: 'A reason is required when withholding a deposit' });
+    }
+
+    const settlement = await transaction(async (txQuery) => {
+      const [order] = await txQuery('SELECT id, status, deposit_total, deposit_status FROM orders WHERE id = ? FOR UPDATE', [req.params.id]);
+      if (!order) {
+        const notFound = new Error('Order not found');
+        notFound.status = 404;
+        throw notFound;
+      }
+      if (!DEPOSIT_SETTLEABLE_STATUSES.includes(order.status)) {
+        const notReturned = new Error(`Deposits are settled on return; order is ${order.status}`);
+        notReturned.status = 409;
+        throw notReturned;
+      }
+      const depositTotal = parseFloat(order.deposit_total) || 0;
+      if (depositTotal <= 0) {
+        const noDeposit = new Error('Order has no deposit to settle');
+        noDeposit.status = 400;
+        throw noDeposit;
+      }
+      if (order.deposit_status !== 'held') {
+        const settled = new Error(`Deposit already settled (${order.deposit_status})`);
+        settled.status = 409;
+        throw settled;
+      }
+
+      let withheld = 0;
+      if (outcome === 'forfeited') {
+        withheld = depositTotal;
+      } else if (outcome === 'partially_withheld') {
+        withheld = parseFloat(withheldAmount);
+        if (isNaN(withheld) || withheld <= 0 || withheld >= depositTotal) {
+          const invalidAmount = new Error(`withheldAmount must be greater than 0 and less than the deposit of ${depositTotal.toFixed(2)}`);
+          invalidAmount.status = 400;
+          throw invalidAmount;
+        }
+      }
+      const refunded = Math.round((depositTotal - withheld) * 100) / 100;
+
+      await txQuery(
+        'INSERT INTO deposit_settlements (order_id, outcome, refunded_amount, withheld_amount, reason, settled_by) VALUES (?, ?, ?, ?, ?, ?)',
+        [order.id, outcome, refunded, withheld, reason || null, req.user.id]
+      );
+      await txQuery('UPDATE orders SET deposit_status = ? WHERE id = ?', [outcome, order.id]);
+      return { orderId: order.id, outcome, depositTotal, refundedAmount: refunded, withheldAmount: withheld, reason: reason || null };
+    });
+
+    console.log('Deposit settled:', settlement);
+    res.json({ message: 'Deposit settled', settlement });
+  } catch (error) {
+    console.error('Deposit settlement error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to settle deposit', details: error.message });
+  }
+});
+
+// Invoice of an order (owner, guest session or admin)
+router.get('/:id/invoice.pdf', authenticate, async (req, res) => {
+  await sendInvoice(req, res, async () => {
+    const [order] = await query('SELECT id, user_id, guest_session_id FROM orders WHERE id = ?', [req.params.id]);
+    const isAdmin = req.user && req.user.role === 'admin';
+    return order && (isAdmin || ownsOrder(order, req)) ? order.id : null;
+  });
+});
+
+// Record whether an order has been paid (admin only); shown on the invoice
+router.put('/:id/payment', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    const { paymentStatus } = req.body;
+    if (!PAYMENT_STATUSES.includes(paymentStatus)) {
+      return res.status(400).json({ error: `paymentStatus must be one of ${PAYMENT_STATUSES.join(', ')}` });
+    }
+    const result = await query(
+      `UPDATE orders SET payment_status = ?, paid_at = ${paymentStatus === 'paid' ? 'COALESCE(paid_at, NOW())' : 'paid_at'} WHERE id = ?`,
+      [paymentStatus, req.params.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    console.log('Updated payment status:', { orderId: req.params.id, paymentStatus });
+    res.json({ message: 'Payment status updated', paymentStatus });
+  } catch (error) {
+    console.error('Update payment status error:', error);
+    res.status(500).json({ error: 'Failed to update payment status', details: error.message });
+  }
+});
+
+// Get one order with its items, handovers and status history (owner, guest session or admin)
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const order = await findOrderById(req.params.id);
+    const isAdmin = req.user && req.user.role === 'admin';
+    if (!order || (!isAdmin && !ownsOrder(order, req))) {
       return res.status(404).json({ error: 'Order not found' });
     }
+
+    order.status_history = await getStatusHistory(order.id);
+    if (!isAdmin) {
+      delete order.secret_key;
+    }
+    res.json(order);
+  } catch (error) {
+    console.error('Fetch order error:', error);
+    res.status(500).json({ error: 'Failed to fetch order', details: error.message });
+  }
+});
+
+// Update order status (admin only). Only transitions allowed by the order
+// lifecycle (utils/orderStatus.js) are accepted and each is recorded with an
+// optional `note`. When approving, `unitAssignments` ([{ orderItemId, unitIds }])
+// assigns serialized units to the order items. picked_up and returned follow
+// from the item pickup and return routes and cannot be set here.
+router.put('/:id', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    const { status, note, unitAssignments = [] } = req.body;
+    if (!ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status: must be one of ${ORDER_STATUSES.join(', ')}` });
+    }
+    if (ITEM_DRIVEN_STATUSES.includes(status)) {
+      return res.status(409).json({ error: `Orders become ${status} once every item is recorded through PUT /api/orders/:id/items/:itemId/${status === 'picked_up' ? 'pickup' : 'return'}` });
+    }
+    if (!Array.isArray(unitAssignments)) {
+      return res.status(400).json({ error: 'unitAssignments must be an array' });
+    }
+    if (unitAssignments.length > 0 && status !== 'approved') {
+      return res.status(400).json({ error: 'Units can only be assigned when approving an order' });
+    }
+
+    await transaction(async (txQuery) => {
+      // Admin cancellations go through the same path as customer ones, without the fee
+      const result = status === 'cancelled'
+        ? await cancelOrder(req.params.id, { actorId: req.user.id, actorRole: req.user.role, reason: note || null, applyFee: false }, txQuery)
+        : await transitionOrder(req.params.id, status, { actorId: req.user.id, actorRole: req.user.role, note: note || null }, txQuery);
+      console.log('Update order status result:', result);
+      if (unitAssignments.length > 0) {
+        await assignUnitsToOrder(parseInt(req.params.id), unitAssignments, req.user.id, txQuery);
+      }
+    });
+
     const [updatedOrder] = await query('SELECT * FROM orders WHERE id = ?', [req.params.id]);
-    res.json({ message: 'Order status updated', order: updatedOrder });
+    const statusHistory = await getStatusHistory(req.params.id);
+    const assignedUnits = await query(
+      `SELECT oiu.order_item_id, iu.id AS unit_id, iu.serial_number
+       FROM order_item_units oiu
+       JOIN order_items oi ON oiu.order_item_id = oi.id
+       JOIN inventory_units iu ON oiu.unit_id = iu.id
+       WHERE oi.order_id = ?`,
+      [req.params.id]
+    );
+    res.json({ message: 'Order status updated', order: updatedOrder, statusHistory, assignedUnits });
   } catch (error) {
     console.error('Update order status error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Failed to update order status', details: error.message });
   }
 });
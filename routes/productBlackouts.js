@@ -0,0 +1,125 @@
+const express = require('express');
+const { query } = require('../utils/db');
+const { authenticate, restrictTo } = require('../utils/auth');
+const { toDateKey, isDateKey } = require('../utils/availability');
+const router = express.Router({ mergeParams: true });
+
+// Check the date range and, when given, that the unit belongs to the product
+const validateBlackout = async (productId, { start_date, end_date, unit_id }) => {
+  if (!isDateKey(start_date) || !isDateKey(end_date)) {
+    return 'start_date and end_date must be dates in YYYY-MM-DD format';
+  }
+  if (start_date > end_date) {
+    return 'end_date must not be before start_date';
+  }
+  if (unit_id) {
+    const [unit] = await query('SELECT id FROM inventory_units WHERE id = ? AND product_id = ?', [unit_id, productId]);
+    if (!unit) {
+      return 'unit_id is not a unit of this product';
+    }
+  }
+  return null;
+};
+
+// Get blackout windows of a product (admin only)
+router.get('/', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    const blackouts = await query(
+      `SELECT b.*, iu.serial_number
+       FROM product_blackouts b
+       LEFT JOIN inventory_units iu ON b.unit_id = iu.id
+       WHERE b.product_id = ?
+       ORDER BY b.start_date ASC`,
+      [req.params.productId]
+    );
+    console.log('Fetched product blackouts:', { productId: req.params.productId, count: blackouts.length });
+    res.json(blackouts);
+  } catch (error) {
+    console.error('Product blackouts fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch blackouts', details: error.message });
+  }
+});
+
+// Add blackout window (admin only). Dates are inclusive; omit unit_id to block the whole product.
+router.post('/', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    const { start_date, end_date, reason, unit_id } = req.body;
+    console.log('POST /api/products/:productId/blackouts - Request body:', { productId: req.params.productId, start_date, end_date, reason, unit_id });
+
+    if (!start_date || !end_date || !reason) {
+      return res.status(400).json({ error: 'Missing required fields: start_date, end_date, reason' });
+    }
+    const [product] = await query('SELECT id FROM products WHERE id = ? AND is_deleted = FALSE', [req.params.productId]);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    const validationError = await validateBlackout(product.id, { start_date, end_date, unit_id });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await query(
+      'INSERT INTO product_blackouts (product_id, unit_id, start_date, end_date, reason, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+      [product.id, unit_id || null, start_date, end_date, reason, req.user.id]
+    );
+    console.log('Insert product blackout result:', result);
+    res.status(201).json({ message: 'Blackout added', id: result.insertId });
+  } catch (error) {
+    console.error('Product blackout add error:', error);
+    res.status(500).json({ error: 'Failed to add blackout', details: error.message });
+  }
+});
+
+// Update blackout window (admin only)
+router.put('/:blackoutId', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    const [blackout] = await query(
+      'SELECT * FROM product_blackouts WHERE id = ? AND product_id = ?',
+      [req.params.blackoutId, req.params.productId]
+    );
+    if (!blackout) {
+      return res.status(404).json({ error: 'Blackout not found' });
+    }
+
+    const updated = {
+      start_date: req.body.start_date || toDateKey(blackout.start_date),
+      end_date: req.body.end_date || toDateKey(blackout.end_date),
+      reason: req.body.reason || blackout.reason,
+      unit_id: req.body.unit_id !== undefined ? req.body.unit_id || null : blackout.unit_id,
+    };
+    const validationError = await validateBlackout(blackout.product_id, updated);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await query(
+      'UPDATE product_blackouts SET start_date = ?, end_date = ?, reason = ?, unit_id = ? WHERE id = ?',
+      [updated.start_date, updated.end_date, updated.reason, updated.unit_id, blackout.id]
+    );
+    console.log('Update product blackout result:', result);
+    res.json({ message: 'Blackout updated' });
+  } catch (error) {
+    console.error('Product blackout update error:', error);
+    res.status(500).json({ error: 'Failed to update blackout', details: error.message });
+  }
+});
+
+// Delete blackout window (admin only)
+router.delete('/:blackoutId', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    const result = await query(
+      'DELETE FROM product_blackouts WHERE id = ? AND product_id = ?',
+      [req.params.blackoutId, req.params.productId]
+    );
+    if (!result || result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Blackout not found' });
+    }
+    console.log('Delete product blackout result:', result);
+    res.json({ message: 'Blackout deleted' });
+  } catch (error) {
+    console.error('Product blackout delete error:', error);
+    res.status(500).json({ error: 'Failed to delete blackout', details: error.message });
+  }
+});
+
+module.exports = router;
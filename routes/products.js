@@ -1,9 +1,30 @@
 const express = require('express');
-const { query } = require('../utils/db');
+const { query, transaction } = require('../utils/db');
 const { authenticate, restrictTo } = require('../utils/auth');
 const { uploadToCloudinary } = require('../utils/cloudinary');
+const { toDateKey, isDateKey, addDays, getAvailabilityProduct, getDailyAvailability } = require('../utils/availability');
+const { validateDurationDiscounts } = require('../utils/pricing');
+const { withEffectivePrices } = require('../utils/sales');
+const { getProductAddons } = require('../utils/addons');
+const { PRODUCT_TYPES, validateBundleComponents, setBundleComponents, withBundleComponents } = require('../utils/bundles');
 const router = express.Router();
 
+// Optional per-product late fee policy; empty values fall back to the global policy in config.lateFees
+const LATE_FEE_FIELDS = ['late_fee_per_day', 'late_fee_grace_hours', 'late_fee_cap'];
+const parseLateFeeFields = (body) => {
+  const fields = {};
+  for (const field of LATE_FEE_FIELDS) {
+    if (body[field] === undefined) continue;
+    fields[field] = body[field] === '' || body[field] === null ? null : Number(body[field]);
+    const invalid = fields[field] !== null && (isNaN(fields[field]) || fields[field] < 0
+      || (field === 'late_fee_grace_hours' && !Number.isInteger(fields[field])));
+    if (invalid) {
+      return { error: `Invalid ${field}: must be a non-negative ${field === 'late_fee_grace_hours' ? 'integer' : 'number'} or empty to use the default` };
+    }
+  }
+  return { fields };
+};
+
 // Get all products (public)
 router.get('/', async (req, res) => {
   try {
@@ -15,7 +36,7 @@ router.get('/', async (req, res) => {
       params.push(categoryId);
     }
     sql += ' ORDER BY created_at DESC';
-    const products = await query(sql, params);
+    const products = await withBundleComponents(await withEffectivePrices(await query(sql, params)));
     console.log('Fetched products:', products);
     res.json(products);
   } catch (error) {
@@ -43,19 +64,81 @@ router.get('/:id', async (req, res) => {
     if (!products || products.length === 0) {
       return res.status(404).json({ error: 'Product not found' });
     }
-    console.log('Fetched product:', products[0]);
-    res.json(products[0]);
+    const [product] = await withBundleComponents(await withEffectivePrices(products));
+    console.log('Fetched product:', product);
+    res.json(product);
   } catch (error) {
     console.error('Product fetch error:', error);
     res.status(500).json({ error: 'Failed to fetch product', details: error.message });
   }
 });
 
+// Get the optional add-ons offered for a product (public)
+router.get('/:id/addons', async (req, res) => {
+  try {
+    const [product] = await query(
+      'SELECT id, category_id FROM products WHERE id = ? AND available = TRUE AND is_deleted = FALSE',
+      [req.params.id]
+    );
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    const addons = await getProductAddons(product);
+    console.log('Fetched product add-ons:', { productId: product.id, addons: addons.length });
+    res.json(addons);
+  } catch (error) {
+    console.error('Product add-ons fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch product add-ons', details: error.message });
+  }
+});
+
+// Get per-day free units for a product (public)
+const MAX_AVAILABILITY_DAYS = 366;
+router.get('/:id/availability', async (req, res) => {
+  try {
+    const from = req.query.from || toDateKey(new Date());
+    const to = req.query.to || addDays(from, 30);
+    if (!isDateKey(from) || !isDateKey(to)) {
+      return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format' });
+    }
+    if (from > to) {
+      return res.status(400).json({ error: 'from must not be after to' });
+    }
+    if (Date.parse(to) - Date.parse(from) >= MAX_AVAILABILITY_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ error: `Range cannot exceed ${MAX_AVAILABILITY_DAYS} days` });
+    }
+
+    const [visible] = await query(
+      'SELECT id FROM products WHERE id = ? AND available = TRUE AND is_deleted = FALSE',
+      [req.params.id]
+    );
+    if (!visible) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    const product = await getAvailabilityProduct(visible.id);
+
+    // `to` is inclusive for calendar display
+    const days = await getDailyAvailability(product, from, addDays(to, 1));
+    console.log('Fetched product availability:', { productId: product.id, from, to, days: days.length });
+    res.json({
+      productId: product.id,
+      stock: parseInt(product.stock_quantity) || 0,
+      turnaroundDays: parseInt(product.turnaround_days) || 0,
+      from,
+      to,
+      days,
+    });
+  } catch (error) {
+    console.error('Product availability fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch product availability', details: error.message });
+  }
+});
+
 // Add product (admin only)
 router.post('/', authenticate, restrictTo('admin'), async (req, res) => {
   try {
-    const { name, description, regular_price, sale_price, imageBase64, galleryBase64 = [], available = true, category_id } = req.body;
-    console.log('POST /api/products - Request body:', { name, description, regular_price, sale_price, imageBase64, galleryBase64: galleryBase64.length, available, category_id });
+    const { name, description, regular_price, sale_price, imageBase64, galleryBase64 = [], available = true, category_id, stock_quantity = 1, turnaround_days, weekly_rate, monthly_rate, duration_discounts, deposit_amount, product_type = 'single', components } = req.body;
+    console.log('POST /api/products - Request body:', { name, description, regular_price, sale_price, imageBase64, galleryBase64: galleryBase64.length, available, category_id, stock_quantity, turnaround_days, weekly_rate, monthly_rate, duration_discounts, deposit_amount, product_type, components });
 
     if (!name || !description || !regular_price) {
       return res.status(400).json({ error: 'Missing required fields: name, description, regular_price' });
@@ -75,6 +158,51 @@ router.post('/', authenticate, restrictTo('admin'), async (req, res) => {
     if (category_id && (isNaN(catId) || catId <= 0)) {
       return res.status(400).json({ error: 'Invalid category_id' });
     }
+    const stockQty = Number(stock_quantity);
+    if (!Number.isInteger(stockQty) || stockQty < 0) {
+      return res.status(400).json({ error: 'Invalid stock_quantity: must be a non-negative integer' });
+    }
+    // Empty turnaround_days inherits the category default
+    const turnaround = turnaround_days !== undefined && turnaround_days !== '' && turnaround_days !== null ? Number(turnaround_days) : null;
+    if (turnaround !== null && (!Number.isInteger(turnaround) || turnaround < 0)) {
+      return res.status(400).json({ error: 'Invalid turnaround_days: must be a non-negative integer or empty to use the category default' });
+    }
+    const weeklyRate = weekly_rate !== undefined && weekly_rate !== '' && weekly_rate !== null ? parseFloat(weekly_rate) : null;
+    if (weeklyRate !== null && (isNaN(weeklyRate) || weeklyRate <= 0)) {
+      return res.status(400).json({ error: 'Invalid weekly_rate: must be a positive number' });
+    }
+    const monthlyRate = monthly_rate !== undefined && monthly_rate !== '' && monthly_rate !== null ? parseFloat(monthly_rate) : null;
+    if (monthlyRate !== null && (isNaN(monthlyRate) || monthlyRate <= 0)) {
+      return res.status(400).json({ error: 'Invalid monthly_rate: must be a positive number' });
+    }
+    const discountsError = validateDurationDiscounts(duration_discounts);
+    if (discountsError) {
+      return res.status(400).json({ error: discountsError });
+    }
+    const durationDiscounts = duration_discounts ? (typeof duration_discounts === 'string' ? duration_discounts : JSON.stringify(duration_discounts)) : null;
+    const depositAmount = deposit_amount !== undefined && deposit_amount !== '' && deposit_amount !== null ? parseFloat(deposit_amount) : 0;
+    if (isNaN(depositAmount) || depositAmount < 0) {
+      return res.status(400).json({ error: 'Invalid deposit_amount: must be a non-negative number' });
+    }
+    const lateFeePolicy = parseLateFeeFields(req.body);
+    if (lateFeePolicy.error) {
+      return res.status(400).json({ error: lateFeePolicy.error });
+    }
+    const lateFees = LATE_FEE_FIELDS.map(field => (lateFeePolicy.fields[field] !== undefined ? lateFeePolicy.fields[field] : null));
+    if (!PRODUCT_TYPES.includes(product_type)) {
+      return res.status(400).json({ error: `Invalid product_type: must be one of ${PRODUCT_TYPES.join(', ')}` });
+    }
+    // A bundle's availability comes from its components; its own stock_quantity is unused
+    let bundleComponents = [];
+    if (product_type === 'bundle') {
+      const validation = await validateBundleComponents(components);
+      if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+      }
+      bundleComponents = validation.components;
+    } else if (components !== undefined) {
+      return res.status(400).json({ error: 'Only bundle products can have components' });
+    }
 
     let image_url = null;
     if (imageBase64 && imageBase64.startsWith('data:image')) {
@@ -103,13 +231,17 @@ router.post('/', authenticate, restrictTo('admin'), async (req, res) => {
       }
     }
 
-    const result = await query(
-      'INSERT INTO products (name, description, price_per_day, sale_price, image_url, gallery_images, available, category_id, is_deleted) VALUES (?, ?, ?, ?, ?, ?, ?, ?, FALSE)',
-      [name, description, regPrice, saleP, image_url, gallery_images, !!available, catId]
-    );
-    if (!result || !result.insertId) {
-      throw new Error('Failed to insert product into database');
-    }
+    const result = await transaction(async (txQuery) => {
+      const insertResult = await txQuery(
+        'INSERT INTO products (name, description, product_type, price_per_day, sale_price, weekly_rate, monthly_rate, duration_discounts, deposit_amount, late_fee_per_day, late_fee_grace_hours, late_fee_cap, image_url, gallery_images, available, category_id, stock_quantity, turnaround_days, is_deleted) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, FALSE)',
+        [name, description, product_type, regPrice, saleP, weeklyRate, monthlyRate, durationDiscounts, depositAmount, ...lateFees, image_url, gallery_images, !!available, catId, stockQty, turnaround]
+      );
+      if (!insertResult || !insertResult.insertId) {
+        throw new Error('Failed to insert product into database');
+      }
+      await setBundleComponents(insertResult.insertId, bundleComponents, txQuery);
+      return insertResult;
+    });
     console.log('Insert product result:', result);
     res.status(201).json({ message: 'Product added', id: result.insertId });
   } catch (error) {
@@ -121,8 +253,8 @@ router.post('/', authenticate, restrictTo('admin'), async (req, res) => {
 // Update product (admin only)
 router.put('/:id', authenticate, restrictTo('admin'), async (req, res) => {
   try {
-    const { name, description, regular_price, sale_price, imageBase64, galleryBase64 = [], available = true, category_id } = req.body;
-    console.log('PUT /api/products/:id - Request body:', { id: req.params.id, name, description, regular_price, sale_price, imageBase64, galleryBase64: galleryBase64.length, available, category_id });
+    const { name, description, regular_price, sale_price, imageBase64, galleryBase64 = [], available = true, category_id, stock_quantity, turnaround_days, weekly_rate, monthly_rate, duration_discounts, deposit_amount, product_type, components } = req.body;
+    console.log('PUT /api/products/:id - Request body:', { id: req.params.id, name, description, regular_price, sale_price, imageBase64, galleryBase64: galleryBase64.length, available, category_id, stock_quantity, turnaround_days, weekly_rate, monthly_rate, duration_discounts, deposit_amount, product_type, components });
 
     const products = await query('SELECT * FROM products WHERE id = ? AND is_deleted = FALSE', [req.params.id]);
     if (!products || products.length === 0) {
@@ -151,8 +283,85 @@ router.put('/:id', authenticate, restrictTo('admin'), async (req, res) => {
         return res.status(400).json({ error: 'Invalid category_id' });
       }
     }
+    if (stock_quantity !== undefined && stock_quantity !== '') {
+      updateFields.stock_quantity = Number(stock_quantity);
+      if (!Number.isInteger(updateFields.stock_quantity) || updateFields.stock_quantity < 0) {
+        return res.status(400).json({ error: 'Invalid stock_quantity: must be a non-negative integer' });
+      }
+      const [unit] = await query('SELECT id FROM inventory_units WHERE product_id = ? LIMIT 1', [req.params.id]);
+      if (unit) {
+        return res.status(400).json({ error: 'Stock of a product with serialized units follows its bookable units; change the units instead' });
+      }
+    }
+    if (turnaround_days !== undefined) {
+      updateFields.turnaround_days = turnaround_days === '' || turnaround_days === null ? null : Number(turnaround_days);
+      if (updateFields.turnaround_days !== null && (!Number.isInteger(updateFields.turnaround_days) || updateFields.turnaround_days < 0)) {
+        return res.status(400).json({ error: 'Invalid turnaround_days: must be a non-negative integer or empty to use the category default' });
+      }
+    }
+    if (weekly_rate !== undefined) {
+      updateFields.weekly_rate = weekly_rate === '' || weekly_rate === null ? null : parseFloat(weekly_rate);
+      if (updateFields.weekly_rate !== null && (isNaN(updateFields.weekly_rate) || updateFields.weekly_rate <= 0)) {
+        return res.status(400).json({ error: 'Invalid weekly_rate: must be a positive number or empty to clear' });
+      }
+    }
+    if (monthly_rate !== undefined) {
+      updateFields.monthly_rate = monthly_rate === '' || monthly_rate === null ? null : parseFloat(monthly_rate);
+      if (updateFields.monthly_rate !== null && (isNaN(updateFields.monthly_rate) || updateFields.monthly_rate <= 0)) {
+        return res.status(400).json({ error: 'Invalid monthly_rate: must be a positive number or empty to clear' });
+      }
+    }
+    if (duration_discounts !== undefined) {
+      const discountsError = validateDurationDiscounts(duration_discounts);
+      if (discountsError) {
+        return res.status(400).json({ error: discountsError });
+      }
+      updateFields.duration_discounts = !duration_discounts
+        ? null
+        : typeof duration_discounts === 'string' ? duration_discounts : JSON.stringify(duration_discounts);
+    }
+    if (deposit_amount !== undefined) {
+      updateFields.deposit_amount = deposit_amount === '' || deposit_amount === null ? 0 : parseFloat(deposit_amount);
+      if (isNaN(updateFields.deposit_amount) || updateFields.deposit_amount < 0) {
+        return res.status(400).json({ error: 'Invalid deposit_amount: must be a non-negative number' });
+      }
+    }
+    const lateFeePolicy = parseLateFeeFields(req.body);
+    if (lateFeePolicy.error) {
+      return res.status(400).json({ error: lateFeePolicy.error });
+    }
+    Object.assign(updateFields, lateFeePolicy.fields);
     updateFields.available = !!available;
 
+    if (product_type !== undefined) {
+      if (!PRODUCT_TYPES.includes(product_type)) {
+        return res.status(400).json({ error: `Invalid product_type: must be one of ${PRODUCT_TYPES.join(', ')}` });
+      }
+      updateFields.product_type = product_type;
+    }
+    const productType = updateFields.product_type || products[0].product_type;
+    // Components are replaced when given; turning a bundle back into a single product drops them
+    let bundleComponents = null;
+    if (productType === 'bundle') {
+      if (products[0].product_type !== 'bundle') {
+        const [usedAsComponent] = await query('SELECT bundle_id FROM bundle_components WHERE component_id = ? LIMIT 1', [req.params.id]);
+        if (usedAsComponent) {
+          return res.status(400).json({ error: `Product is a component of bundle ${usedAsComponent.bundle_id} and cannot become a bundle` });
+        }
+      }
+      if (components !== undefined || products[0].product_type !== 'bundle') {
+        const validation = await validateBundleComponents(components, req.params.id);
+        if (validation.error) {
+          return res.status(400).json({ error: validation.error });
+        }
+        bundleComponents = validation.components;
+      }
+    } else if (components !== undefined && components !== null && components.length > 0) {
+      return res.status(400).json({ error: 'Only bundle products can have components' });
+    } else if (products[0].product_type === 'bundle') {
+      bundleComponents = [];
+    }
+
     let image_url = products[0].image_url || null;
     if (imageBase64 && imageBase64.startsWith('data:image')) {
       try {
@@ -200,10 +409,16 @@ router.put('/:id', authenticate, restrictTo('admin'), async (req, res) => {
       .join(', ');
     const values = [...Object.values(updateFields), req.params.id];
 
-    const result = await query(
-      `UPDATE products SET ${setClause} WHERE id = ? AND is_deleted = FALSE`,
-      values
-    );
+    const result = await transaction(async (txQuery) => {
+      const updateResult = await txQuery(
+        `UPDATE products SET ${setClause} WHERE id = ? AND is_deleted = FALSE`,
+        values
+      );
+      if (updateResult && updateResult.affectedRows > 0 && bundleComponents) {
+        await setBundleComponents(req.params.id, bundleComponents, txQuery);
+      }
+      return updateResult;
+    });
     if (!result || result.affectedRows === 0) {
       return res.status(404).json({ error: 'Product not found or no changes made' });
     }
@@ -0,0 +1,159 @@
+const express = require('express');
+const { query } = require('../utils/db');
+const { authenticate, restrictTo } = require('../utils/auth');
+const router = express.Router();
+
+const isEmpty = value => value === undefined || value === null || value === '';
+
+// Validate admin input and map it to sale columns. With `partial` only the
+// fields present are checked, for updates; `existing` is the stored row so
+// cross-field rules see the merged result. Returns { fields } or { error }.
+const buildSaleFields = (body, partial = false, existing = {}) => {
+  const fields = {};
+
+  if (!partial || body.name !== undefined) {
+    if (isEmpty(body.name)) {
+      return { error: 'name is required' };
+    }
+    fields.name = body.name;
+  }
+  for (const field of ['product_id', 'category_id']) {
+    if (body[field] !== undefined) {
+      fields[field] = isEmpty(body[field]) ? null : Number(body[field]);
+      if (fields[field] !== null && (!Number.isInteger(fields[field]) || fields[field] < 1)) {
+        return { error: `${field} must be a positive integer` };
+      }
+    }
+  }
+  if (body.sale_price !== undefined) {
+    fields.sale_price = isEmpty(body.sale_price) ? null : parseFloat(body.sale_price);
+    if (fields.sale_price !== null && (isNaN(fields.sale_price) || fields.sale_price < 0)) {
+      return { error: 'sale_price must be a non-negative number' };
+    }
+  }
+  if (body.percent_off !== undefined) {
+    fields.percent_off = isEmpty(body.percent_off) ? null : parseFloat(body.percent_off);
+    if (fields.percent_off !== null && (isNaN(fields.percent_off) || fields.percent_off <= 0 || fields.percent_off > 100)) {
+      return { error: 'percent_off must be greater than 0 and at most 100' };
+    }
+  }
+  for (const field of ['starts_at', 'ends_at']) {
+    if (!partial || body[field] !== undefined) {
+      if (isEmpty(body[field]) || isNaN(Date.parse(body[field]))) {
+        return { error: `${field} must be a valid date` };
+      }
+      fields[field] = body[field];
+    }
+  }
+
+  const sale = { ...existing, ...fields };
+  if (!sale.product_id === !sale.category_id) {
+    return { error: 'A sale applies to exactly one of product_id or category_id' };
+  }
+  if ((sale.sale_price === null || sale.sale_price === undefined) === (sale.percent_off === null || sale.percent_off === undefined)) {
+    return { error: 'Provide exactly one of sale_price or percent_off' };
+  }
+  if (sale.category_id && sale.sale_price !== null && sale.sale_price !== undefined) {
+    return { error: 'Category sales must use percent_off' };
+  }
+  if (new Date(sale.starts_at) >= new Date(sale.ends_at)) {
+    return { error: 'ends_at must be after starts_at' };
+  }
+
+  return { fields };
+};
+
+// Get sales, optionally only those running now (admin only)
+router.get('/', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    let sql = `SELECT s.*, p.name AS product_name, c.name AS category_name,
+                      (s.starts_at <= NOW() AND s.ends_at > NOW()) AS is_active
+               FROM sales s
+               LEFT JOIN products p ON s.product_id = p.id
+               LEFT JOIN categories c ON s.category_id = c.id`;
+    if (req.query.active === 'true') {
+      sql += ' WHERE s.starts_at <= NOW() AND s.ends_at > NOW()';
+    }
+    sql += ' ORDER BY s.starts_at DESC';
+    const sales = await query(sql);
+    console.log('Fetched sales:', sales.length);
+    res.json(sales.map(sale => ({ ...sale, is_active: !!sale.is_active })));
+  } catch (error) {
+    console.error('Sales fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch sales', details: error.message });
+  }
+});
+
+// Add sale (admin only)
+router.post('/', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    console.log('POST /api/sales - Request body:', req.body);
+    const { fields, error } = buildSaleFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const target = fields.product_id
+      ? await query('SELECT id FROM products WHERE id = ? AND is_deleted = FALSE', [fields.product_id])
+      : await query('SELECT id FROM categories WHERE id = ?', [fields.category_id]);
+    if (target.length === 0) {
+      return res.status(404).json({ error: fields.product_id ? 'Product not found' : 'Category not found' });
+    }
+
+    const columns = Object.keys(fields);
+    const result = await query(
+      `INSERT INTO sales (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      Object.values(fields)
+    );
+    console.log('Insert sale result:', result);
+    res.status(201).json({ message: 'Sale added', id: result.insertId });
+  } catch (error) {
+    console.error('Sale add error:', error);
+    res.status(500).json({ error: 'Failed to add sale', details: error.message });
+  }
+});
+
+// Update sale (admin only)
+router.put('/:id', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    console.log('PUT /api/sales/:id - Request body:', { id: req.params.id, ...req.body });
+    const [existing] = await query('SELECT * FROM sales WHERE id = ?', [req.params.id]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Sale not found' });
+    }
+    const { fields, error } = buildSaleFields(req.body, true, existing);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ error: 'No valid fields provided for update' });
+    }
+
+    const setClause = Object.keys(fields)
+      .map(field => `${field} = ?`)
+      .join(', ');
+    const result = await query(`UPDATE sales SET ${setClause} WHERE id = ?`, [...Object.values(fields), req.params.id]);
+    console.log('Update sale result:', result);
+    res.json({ message: 'Sale updated' });
+  } catch (error) {
+    console.error('Sale update error:', error);
+    res.status(500).json({ error: 'Failed to update sale', details: error.message });
+  }
+});
+
+// Delete sale (admin only). Orders keep the rate they were charged.
+router.delete('/:id', authenticate, restrictTo('admin'), async (req, res) => {
+  try {
+    const result = await query('DELETE FROM sales WHERE id = ?', [req.params.id]);
+    if (!result || result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Sale not found' });
+    }
+    console.log('Delete sale result:', result);
+    res.json({ message: 'Sale deleted' });
+  } catch (error) {
+    console.error('Sale delete error:', error);
+    res.status(500).json({ error: 'Failed to delete sale', details: error.message });
+  }
+});
+
+module.exports = router;
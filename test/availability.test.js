@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { fakeDatabase } = require('./helpers');
+
+fakeDatabase();
+const { isDateKey, getDailyAvailability } = require('../utils/availability');
+
+test('isDateKey accepts real calendar days', () => {
+  for (const value of ['2026-01-01', '2026-02-28', '2024-02-29', '2026-12-31']) {
+    assert.strictEqual(isDateKey(value), true, value);
+  }
+});
+
+test('isDateKey rejects impossible and malformed dates', () => {
+  for (const value of ['2026-02-30', '2025-02-29', '2026-04-31', '2026-13-01', '2026-00-10', '2026-1-01', '2026-01-01T00:00:00', undefined]) {
+    assert.strictEqual(isDateKey(value), false, String(value));
+  }
+});
+
+// Overlapping blackouts of one unit take it out of stock once per day
+test('getDailyAvailability counts a blacked-out unit once', async () => {
+  const blackouts = [
+    { unit_id: 7, start_date: '2026-03-01', end_date: '2026-03-02' },
+    { unit_id: 7, start_date: '2026-03-02', end_date: '2026-03-03' },
+    { unit_id: 8, start_date: '2026-03-03', end_date: '2026-03-03' },
+  ];
+  const db = async sql => (sql.includes('FROM product_blackouts') ? blackouts : []);
+  const product = { id: 1, product_type: 'single', stock_quantity: 3, turnaround_days: 0 };
+  const days = await getDailyAvailability(product, '2026-03-01', '2026-03-05', db);
+  assert.deepStrictEqual(days.map(day => day.free), [2, 2, 1, 3]);
+});
@@ -0,0 +1,57 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { fakeDatabase, startApp, adminToken } = require('./helpers');
+
+// Order 2 is a cancelled delivery order; everything else is missing
+fakeDatabase(sql => (sql.includes('FROM orders WHERE id = ? FOR UPDATE')
+  ? [{ id: 2, status: 'cancelled', fulfillment_method: 'delivery' }]
+  : []));
+const deliveryRoutes = require('../routes/delivery');
+
+let app;
+before(async () => {
+  app = await startApp('/api/delivery', deliveryRoutes);
+});
+after(() => app.server.close());
+
+// A request without a JSON body is a bad request, not a server error
+test('POST /quote without a body', async () => {
+  const response = await fetch(`${app.url}/quote`, { method: 'POST' });
+  assert.strictEqual(response.status, 400);
+  assert.deepStrictEqual(await response.json(), { error: 'Delivery needs a postcode or coordinates' });
+});
+
+test('POST /slots without a body', async () => {
+  const response = await fetch(`${app.url}/slots`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${adminToken()}` },
+  });
+  assert.strictEqual(response.status, 400);
+});
+
+test('PUT /orders/:orderId/slots without a body', async () => {
+  const response = await fetch(`${app.url}/orders/1/slots`, {
+    method: 'PUT',
+    headers: { Authorization: `Bearer ${adminToken()}` },
+  });
+  assert.strictEqual(response.status, 400);
+});
+
+test('PUT /slots/:id without a body', async () => {
+  const response = await fetch(`${app.url}/slots/1`, {
+    method: 'PUT',
+    headers: { Authorization: `Bearer ${adminToken()}` },
+  });
+  assert.strictEqual(response.status, 404);
+  assert.deepStrictEqual(await response.json(), { error: 'Slot not found' });
+});
+
+test('PUT /orders/:orderId/slots for a cancelled order', async () => {
+  const response = await fetch(`${app.url}/orders/2/slots`, {
+    method: 'PUT',
+    headers: { Authorization: `Bearer ${adminToken()}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ deliverySlotId: 1 }),
+  });
+  assert.strictEqual(response.status, 409);
+  assert.deepStrictEqual(await response.json(), { error: 'Order is cancelled and no longer has delivery slots' });
+});
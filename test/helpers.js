@@ -0,0 +1,35 @@
+const path = require('path');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+// Route tests run without MySQL: utils/db is replaced before any route loads
+// it. Every query answers `rows(sql, params)`, [] by default, so lookups come
+// back empty and routes answer 404 where they would touch real data.
+const fakeDatabase = (rows = () => []) => {
+  const dbPath = path.resolve(__dirname, '../utils/db.js');
+  const query = async (sql, params) => rows(sql, params);
+  require.cache[dbPath] = {
+    id: dbPath,
+    filename: dbPath,
+    loaded: true,
+    exports: { query, transaction: work => work(query), pool: null },
+  };
+};
+
+// Mount a router like index.js does and start it on a free port
+const startApp = async (mountPath, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(mountPath, router);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  return { server, url: `http://127.0.0.1:${server.address().port}${mountPath}` };
+};
+
+const adminToken = () => {
+  const { config } = require('../config');
+  return jwt.sign({ id: 1, role: 'admin' }, config.jwt.secret);
+};
+
+module.exports = { fakeDatabase, startApp, adminToken };
@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { fakeDatabase } = require('./helpers');
+
+fakeDatabase();
+const { config } = require('../config');
+const { issueClaimCode } = require('../utils/orderClaims');
+
+const user = { id: 1, email: 'guest@example.com' };
+
+test('issueClaimCode refuses once the hourly limit is reached', async () => {
+  const statements = [];
+  const db = async sql => {
+    statements.push(sql);
+    return sql.includes('COUNT(*) AS issued') ? [{ issued: config.orderClaims.maxCodesPerHour }] : [];
+  };
+  await assert.rejects(issueClaimCode(user, db), { status: 429 });
+  assert.ok(!statements.some(sql => sql.includes('INSERT INTO order_claim_codes')));
+});
+
+// Without SMTP the mail is logged; the code in it must not be
+test('issueClaimCode does not log the code it mails', async (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+  let codeHash;
+  const db = async (sql, params) => {
+    if (sql.includes('COUNT(*) AS issued')) return [{ issued: 0 }];
+    if (sql.includes('FROM orders')) return [{ id: 5 }];
+    if (sql.includes('INSERT INTO order_claim_codes')) codeHash = params[2];
+    return [];
+  };
+  await issueClaimCode(user, db);
+
+  const [, mail] = log.mock.calls.find(call => call.arguments[0] === 'Mail not configured, would send:').arguments;
+  assert.ok(codeHash);
+  assert.match(mail.text, /Use code \[redacted\] to add 1 guest order/);
+  assert.doesNotMatch(mail.text, /\d{6}/);
+});
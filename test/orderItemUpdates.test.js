@@ -0,0 +1,37 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { fakeDatabase, startApp, adminToken } = require('./helpers');
+
+fakeDatabase();
+const ordersRoutes = require('../routes/orders');
+
+let app;
+before(async () => {
+  app = await startApp('/api/orders', ordersRoutes);
+});
+after(() => app.server.close());
+
+// Both timestamps are optional, so a request without a JSON body is valid and
+// only fails on the (missing) order
+for (const action of ['pickup', 'return']) {
+  test(`PUT /:id/items/:itemId/${action} without a body`, async () => {
+    const response = await fetch(`${app.url}/1/items/1/${action}`, {
+      method: 'PUT',
+      headers: { Authorization: `Bearer ${adminToken()}` },
+    });
+    assert.strictEqual(response.status, 404);
+    assert.deepStrictEqual(await response.json(), { error: 'Order not found' });
+  });
+}
+
+// Every handover field is optional too
+for (const type of ['pickup', 'return']) {
+  test(`PUT /:id/items/:itemId/handovers/${type} without a body`, async () => {
+    const response = await fetch(`${app.url}/1/items/1/handovers/${type}`, {
+      method: 'PUT',
+      headers: { Authorization: `Bearer ${adminToken()}` },
+    });
+    assert.strictEqual(response.status, 404);
+    assert.deepStrictEqual(await response.json(), { error: 'Order item not found' });
+  });
+}
@@ -0,0 +1,52 @@
+const { query } = require('./db');
+const { roundMoney } = require('./pricing');
+const { parseIdList } = require('./coupons');
+
+// per_day: price x days x quantity; per_rental: price x quantity;
+// percent: price % of the line's rental subtotal
+const ADDON_PRICING_TYPES = ['per_day', 'per_rental', 'percent'];
+
+// Active add-ons offered for a product, directly or through its category
+const getProductAddons = async (product, db = query) => {
+  return db(
+    `SELECT id, name, description, pricing_type, price, product_id, category_id
+     FROM addons
+     WHERE is_active = TRUE AND (product_id = ? OR (category_id IS NOT NULL AND category_id = ?))
+     ORDER BY name`,
+    [product.id, product.category_id || null]
+  );
+};
+
+// Load the add-ons a customer selected for a product (cart.addon_ids holds
+// them as a JSON array). Every id must be an active add-on offered for it.
+const resolveAddons = async (product, addonIds, db = query) => {
+  const ids = [...new Set(parseIdList(addonIds))];
+  if (ids.length === 0) return [];
+  const offered = await getProductAddons(product, db);
+  const selected = offered.filter(addon => ids.includes(addon.id));
+  if (selected.length !== ids.length) {
+    const missing = ids.filter(id => !selected.some(addon => addon.id === id));
+    const error = new Error(`Add-on(s) ${missing.join(', ')} not available for product ${product.id}`);
+    error.status = 400;
+    throw error;
+  }
+  return selected;
+};
+
+// Price selected add-ons for one rental line
+const priceAddons = (addons, { days, quantity, rentalSubtotal }) => {
+  return addons.map(addon => {
+    const price = parseFloat(addon.price);
+    let amount;
+    if (addon.pricing_type === 'per_day') {
+      amount = price * days * quantity;
+    } else if (addon.pricing_type === 'per_rental') {
+      amount = price * quantity;
+    } else {
+      amount = rentalSubtotal * price / 100;
+    }
+    return { addon_id: addon.id, name: addon.name, pricing_type: addon.pricing_type, price, amount: roundMoney(amount) };
+  });
+};
+
+module.exports = { ADDON_PRICING_TYPES, getProductAddons, resolveAddons, priceAddons };
@@ -75,6 +75,13 @@ const restrictTo = (...roles) => (req, res, next) => {
   next();
 };
 
+// Whether the caller owns an order: its user, or the guest session that placed it
+const ownsOrder = (order, req) => {
+  if (!order) return false;
+  if (req.user) return order.user_id === req.user.id;
+  return !!req.guestSessionId && order.guest_session_id === req.guestSessionId;
+};
+
 const sanitizeInput = (req, res, next) => {
   if (req.body) {
     for (const key in req.body) {
@@ -130,4 +137,4 @@ const register = async (req, res) => {
   }
 };
 
-module.exports = { authenticate, restrictTo, sanitizeInput, register };
\ No newline at end of file
+module.exports = { authenticate, restrictTo, ownsOrder, sanitizeInput, register };
\ No newline at end of file
@@ -0,0 +1,221 @@
+const { query } = require('./db');
+const { getBundleComponents } = require('./bundles');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Order statuses whose items still occupy stock
+const COMMITTED_STATUSES = ['pending', 'approved', 'picked_up'];
+// Units that count towards bookable stock; out units come back after their rental
+const BOOKABLE_UNIT_STATUSES = ['in_stock', 'out'];
+
+// Normalize a Date (as returned by mysql2 for DATE columns) or a date string to 'YYYY-MM-DD'
+const toDateKey = (value) => {
+  if (value instanceof Date) {
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  return String(value).slice(0, 10);
+};
+
+// A 'YYYY-MM-DD' string naming a real calendar day. Date rolls impossible days
+// over (2026-02-30 becomes March 2nd), so the key must survive the round trip;
+// it is read as local midnight because toDateKey uses the local getters.
+const isDateKey = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && toDateKey(new Date(`${value}T00:00:00`)) === value;
+
+const addDays = (dateKey, days) => {
+  return new Date(Date.parse(`${dateKey}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+};
+
+// Days covered by a rental: start date inclusive, end (return) date exclusive
+const eachDay = (startKey, endKey) => {
+  const days = [];
+  for (let day = startKey; day < endKey; day = addDays(day, 1)) {
+    days.push(day);
+  }
+  return days;
+};
+
+// Committed order items plus unexpired cart holds overlapping [startKey, endKey).
+// Booked bundles appear through their component order items; held bundles
+// count each component at its bundle quantity.
+// `excludeCartIds` leaves out holds that belong to the request being checked,
+// `excludeOrderItemIds` stored lines (and their bundle components) it replaces;
+// `pendingBookings` adds lines of the same request that are not stored yet,
+// including the `components` of pending bundle lines.
+const getBookings = async (productId, startKey, endKey, db, { excludeCartIds = [], excludeOrderItemIds = [], pendingBookings = [] } = {}) => {
+  const placeholders = COMMITTED_STATUSES.map(() => '?').join(', ');
+  const itemIds = excludeOrderItemIds.map(id => parseInt(id)).filter(Boolean);
+  const itemPlaceholders = itemIds.map(() => '?').join(', ');
+  const excludeItemsClause = itemIds.length > 0
+    ? ` AND oi.id NOT IN (${itemPlaceholders}) AND (oi.parent_item_id IS NULL OR oi.parent_item_id NOT IN (${itemPlaceholders}))`
+    : '';
+  const orderBookings = await db(
+    `SELECT oi.start_date, oi.end_date, oi.quantity
+     FROM order_items oi
+     JOIN orders o ON oi.order_id = o.id
+     WHERE oi.product_id = ? AND o.status IN (${placeholders})
+       AND oi.start_date < ? AND oi.end_date > ?${excludeItemsClause}`,
+    [productId, ...COMMITTED_STATUSES, endKey, startKey, ...itemIds, ...itemIds]
+  );
+
+  const cartIds = excludeCartIds.map(id => parseInt(id)).filter(Boolean);
+  const excludeClause = cartIds.length > 0 ? ` AND c.id NOT IN (${cartIds.map(() => '?').join(', ')})` : '';
+  const holdBookings = await db(
+    `SELECT c.start_date, c.end_date, c.quantity * COALESCE(bc.quantity, 1) AS quantity
+     FROM cart c
+     LEFT JOIN bundle_components bc ON bc.bundle_id = c.product_id AND bc.component_id = ?
+     WHERE (c.product_id = ? OR bc.component_id IS NOT NULL) AND c.hold_expires_at > NOW()
+       AND c.start_date < ? AND c.end_date > ?${excludeClause}`,
+    [productId, productId, endKey, startKey, ...cartIds]
+  );
+
+  const pending = pendingBookings
+    .flatMap(booking => [booking, ...(booking.components || [])])
+    .filter(booking => booking.product_id === productId
+      && toDateKey(booking.start_date) < endKey && toDateKey(booking.end_date) > startKey);
+
+  return [...orderBookings, ...holdBookings, ...pending];
+};
+
+// Units taken per day of [startKey, endKey). Each booking also blocks the
+// product's turnaround days on both sides, so consecutive rentals are always
+// at least that many days apart.
+const getDailyUsage = async (product, startKey, endKey, db = query, options = {}) => {
+  const buffer = parseInt(product.turnaround_days) || 0;
+  const bookings = await getBookings(product.id, addDays(startKey, -buffer), addDays(endKey, buffer), db, options);
+  const usage = new Map(eachDay(startKey, endKey).map(day => [day, 0]));
+  for (const booking of bookings) {
+    const blockedFrom = addDays(toDateKey(booking.start_date), -buffer);
+    const blockedUntil = addDays(toDateKey(booking.end_date), buffer);
+    for (const day of eachDay(blockedFrom, blockedUntil)) {
+      if (usage.has(day)) {
+        usage.set(day, usage.get(day) + (parseInt(booking.quantity) || 0));
+      }
+    }
+  }
+  return usage;
+};
+
+// Product fields the availability engine needs; turnaround falls back to the category default
+const getAvailabilityProduct = async (productId, db = query) => {
+  const [product] = await db(
+    `SELECT p.id, p.product_type, p.stock_quantity, COALESCE(p.turnaround_days, c.turnaround_days, 0) AS turnaround_days
+     FROM products p
+     LEFT JOIN categories c ON p.category_id = c.id
+     WHERE p.id = ?`,
+    [productId]
+  );
+  return product || null;
+};
+
+// Blackout windows overlapping [startKey, endKey). Unlike rentals, a
+// blackout's end_date is inclusive (the last day the product is unbookable).
+// Unit blackouts are only returned for bookable units: a unit in maintenance
+// or retired is already missing from stock_quantity.
+const getBlackouts = async (productId, startKey, endKey, db) => {
+  const placeholders = BOOKABLE_UNIT_STATUSES.map(() => '?').join(', ');
+  return db(
+    `SELECT b.unit_id, b.start_date, b.end_date
+     FROM product_blackouts b
+     LEFT JOIN inventory_units u ON b.unit_id = u.id
+     WHERE b.product_id = ? AND b.start_date < ? AND b.end_date >= ?
+       AND (b.unit_id IS NULL OR u.status IN (${placeholders}))`,
+    [productId, endKey, startKey, ...BOOKABLE_UNIT_STATUSES]
+  );
+};
+
+// A bundle has no stock of its own: each day it is limited by the component
+// that runs out first, and a blackout on any component blocks the bundle.
+const getBundleDailyAvailability = async (product, startKey, endKey, db, options) => {
+  const components = await getBundleComponents([product.id], db);
+  const perComponent = [];
+  for (const component of components) {
+    const componentProduct = await getAvailabilityProduct(component.component_id, db);
+    if (!componentProduct) continue;
+    perComponent.push({
+      quantity: component.quantity,
+      days: await getDailyAvailability(componentProduct, startKey, endKey, db, options),
+    });
+  }
+
+  return eachDay(startKey, endKey).map((date, index) => {
+    const blackout = perComponent.some(component => component.days[index].blackout);
+    const free = perComponent.length === 0 || blackout
+      ? 0
+      : Math.min(...perComponent.map(component => Math.floor(component.days[index].free / component.quantity)));
+    return { date, free, blackout };
+  });
+};
+
+// Free units for each day of [startKey, endKey). A product-wide blackout
+// makes a day unbookable; a unit blackout takes that unit out of stock once,
+// however many of its blackouts overlap the day.
+const getDailyAvailability = async (product, startKey, endKey, db = query, options = {}) => {
+  if (product.product_type === 'bundle') {
+    return getBundleDailyAvailability(product, startKey, endKey, db, options);
+  }
+  const stock = parseInt(product.stock_quantity) || 0;
+  const usage = await getDailyUsage(product, startKey, endKey, db, options);
+  const blackouts = await getBlackouts(product.id, startKey, endKey, db);
+
+  const blackoutDays = new Set();
+  const blackedOutUnits = new Map();
+  for (const blackout of blackouts) {
+    const lastDay = toDateKey(blackout.end_date);
+    for (const day of eachDay(toDateKey(blackout.start_date), addDays(lastDay, 1))) {
+      if (!usage.has(day)) continue;
+      if (blackout.unit_id === null) {
+        blackoutDays.add(day);
+      } else {
+        if (!blackedOutUnits.has(day)) blackedOutUnits.set(day, new Set());
+        blackedOutUnits.get(day).add(blackout.unit_id);
+      }
+    }
+  }
+
+  return [...usage].map(([date, used]) => ({
+    date,
+    free: blackoutDays.has(date) ? 0 : Math.max(stock - used - (blackedOutUnits.has(date) ? blackedOutUnits.get(date).size : 0), 0),
+    blackout: blackoutDays.has(date),
+  }));
+};
+
+// How many units of a product can still be booked for the whole range.
+// Pass a transaction query (and lock the product row first) when the result
+// is used to write a booking.
+const checkAvailability = async ({ productId, startDate, endDate, quantity, excludeCartIds = [], excludeOrderItemIds = [], pendingBookings = [] }, db = query) => {
+  const product = await getAvailabilityProduct(productId, db);
+  if (!product) {
+    return { available: false, free: 0, requested: quantity, blackoutDates: [] };
+  }
+  const days = await getDailyAvailability(product, toDateKey(startDate), toDateKey(endDate), db, { excludeCartIds, excludeOrderItemIds, pendingBookings });
+  const free = days.length > 0 ? Math.min(...days.map(day => day.free)) : 0;
+  const blackoutDates = days.filter(day => day.blackout).map(day => day.date);
+  return { available: free >= quantity, free, requested: quantity, blackoutDates };
+};
+
+// Error for a booking that exceeds free stock; routes answer it with 409
+const unavailableError = (availability, productId) => {
+  const product = productId ? ` of product ${productId}` : '';
+  const error = new Error(availability.blackoutDates.length > 0
+    ? `Selected dates include blackout days${product}: ${availability.blackoutDates.join(', ')}`
+    : `Only ${availability.free} unit(s)${product} available for the selected dates`);
+  error.status = 409;
+  error.available = availability.free;
+  error.blackoutDates = availability.blackoutDates;
+  return error;
+};
+
+module.exports = {
+  COMMITTED_STATUSES,
+  BOOKABLE_UNIT_STATUSES,
+  toDateKey,
+  isDateKey,
+  addDays,
+  eachDay,
+  getAvailabilityProduct,
+  getDailyAvailability,
+  checkAvailability,
+  unavailableError,
+};
@@ -0,0 +1,112 @@
+const { query } = require('./db');
+
+const PRODUCT_TYPES = ['single', 'bundle'];
+
+// Component rows of the given bundles, with the component product's name
+const getBundleComponents = async (bundleIds, db = query) => {
+  const ids = [...new Set(bundleIds.map(id => parseInt(id)).filter(Boolean))];
+  if (ids.length === 0) return [];
+  return db(
+    `SELECT bc.bundle_id, bc.component_id, bc.quantity, p.name AS component_name
+     FROM bundle_components bc
+     JOIN products p ON bc.component_id = p.id
+     WHERE bc.bundle_id IN (${ids.map(() => '?').join(', ')})
+     ORDER BY bc.bundle_id, bc.component_id`,
+    ids
+  );
+};
+
+// Lock the given products and, for bundles, their components, all in one id
+// ordered FOR UPDATE so checkouts touching the same stock are serialized
+// without deadlocks. Components are looked up first with a shared locking
+// read rather than a plain one: under REPEATABLE READ a plain read would fix
+// the transaction's snapshot before the product locks are held, and
+// availability checks after the lock would miss bookings committed while
+// waiting for it.
+const lockProducts = async (productIds, db) => {
+  const ids = [...new Set(productIds.map(id => parseInt(id)).filter(Boolean))];
+  if (ids.length === 0) return;
+  const components = await db(
+    `SELECT component_id FROM bundle_components WHERE bundle_id IN (${ids.map(() => '?').join(', ')}) FOR SHARE`,
+    ids
+  );
+  const lockIds = [...new Set([...ids, ...components.map(component => component.component_id)])].sort((a, b) => a - b);
+  await db(`SELECT id FROM products WHERE id IN (${lockIds.map(() => '?').join(', ')}) ORDER BY id FOR UPDATE`, lockIds);
+};
+
+// Validate admin input for a bundle's components ([{ product_id, quantity }]).
+// Components must be existing single products other than the bundle itself.
+// Returns { components } or { error }.
+const validateBundleComponents = async (input, bundleId = null, db = query) => {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: 'A bundle needs at least one component' };
+  }
+  const components = [];
+  for (const entry of input) {
+    const productId = Number(entry && entry.product_id);
+    const quantity = Number(entry && entry.quantity !== undefined ? entry.quantity : 1);
+    if (!Number.isInteger(productId) || productId < 1) {
+      return { error: 'Each component needs a valid product_id' };
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return { error: `Component ${productId} quantity must be a positive integer` };
+    }
+    if (bundleId && productId === Number(bundleId)) {
+      return { error: 'A bundle cannot contain itself' };
+    }
+    if (components.some(component => component.product_id === productId)) {
+      return { error: `Component ${productId} is listed more than once` };
+    }
+    components.push({ product_id: productId, quantity });
+  }
+
+  const ids = components.map(component => component.product_id);
+  const products = await db(
+    `SELECT id, product_type FROM products WHERE id IN (${ids.map(() => '?').join(', ')}) AND is_deleted = FALSE`,
+    ids
+  );
+  for (const id of ids) {
+    const product = products.find(row => row.id === id);
+    if (!product) {
+      return { error: `Component product ${id} not found` };
+    }
+    if (product.product_type === 'bundle') {
+      return { error: `Component product ${id} is itself a bundle` };
+    }
+  }
+  return { components };
+};
+
+// Replace a bundle's components; an empty list clears them
+const setBundleComponents = async (bundleId, components, db = query) => {
+  await db('DELETE FROM bundle_components WHERE bundle_id = ?', [bundleId]);
+  for (const component of components) {
+    await db(
+      'INSERT INTO bundle_components (bundle_id, component_id, quantity) VALUES (?, ?, ?)',
+      [bundleId, component.product_id, component.quantity]
+    );
+  }
+};
+
+// Attach `components` to bundle rows of a product listing
+const withBundleComponents = async (products, db = query) => {
+  const bundleIds = products.filter(product => product.product_type === 'bundle').map(product => product.id);
+  const components = await getBundleComponents(bundleIds, db);
+  return products.map(product => (product.product_type === 'bundle'
+    ? {
+        ...product,
+        components: components
+          .filter(component => component.bundle_id === product.id)
+          .map(component => ({ product_id: component.component_id, name: component.component_name, quantity: component.quantity })),
+      }
+    : product));
+};
+
+module.exports = {
+  PRODUCT_TYPES,
+  getBundleComponents,
+  lockProducts,
+  validateBundleComponents,
+  setBundleComponents,
+  withBundleComponents,
+};
@@ -0,0 +1,66 @@
+const { query } = require('./db');
+const { config } = require('../config');
+const { roundMoney } = require('./pricing');
+const { toDateKey } = require('./availability');
+const { transitionOrder } = require('./orderStatus');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fee for cancelling an order now under config.cancellation: free until
+// freeDaysBeforeStart days before the earliest rental starts, then feePercent
+// of the order total (deposits are never part of it).
+const calculateCancellationFee = (order, items, now = new Date()) => {
+  const { freeDaysBeforeStart, feePercent } = config.cancellation;
+  const startKey = items.map(item => toDateKey(item.start_date)).sort()[0];
+  const daysBeforeStart = startKey ? Math.round((Date.parse(startKey) - Date.parse(toDateKey(now))) / DAY_MS) : null;
+  const free = daysBeforeStart === null || daysBeforeStart >= freeDaysBeforeStart;
+  return {
+    daysBeforeStart,
+    freeDaysBeforeStart,
+    feePercent: free ? 0 : feePercent,
+    fee: free ? 0 : roundMoney((parseFloat(order.total_amount) || 0) * feePercent / 100),
+  };
+};
+
+// Cancel an order inside a transaction. Orders with anything picked up cannot
+// be cancelled; the lifecycle rejects every other illegal case. With
+// `applyFee` the policy fee is charged (customer cancellations), otherwise it
+// is waived (admin cancellations). The fee and reason are stored on the order
+// and the fee is added to its charges.
+const cancelOrder = async (orderId, { actorId = null, actorRole = null, reason = null, applyFee = true } = {}, db = query) => {
+  const [order] = await db('SELECT * FROM orders WHERE id = ? FOR UPDATE', [orderId]);
+  if (!order) {
+    const error = new Error('Order not found');
+    error.status = 404;
+    throw error;
+  }
+  const items = await db('SELECT start_date, picked_up_at FROM order_items WHERE order_id = ? AND parent_item_id IS NULL', [order.id]);
+  if (items.some(item => item.picked_up_at)) {
+    const error = new Error('Orders cannot be cancelled after pickup');
+    error.status = 409;
+    throw error;
+  }
+
+  const cancellation = applyFee
+    ? calculateCancellationFee(order, items)
+    : { ...calculateCancellationFee(order, items), feePercent: 0, fee: 0 };
+  await transitionOrder(order.id, 'cancelled', { actorId, actorRole, note: reason }, db);
+  await db(
+    'UPDATE orders SET cancellation_fee = ?, cancellation_reason = ?, cancelled_at = NOW() WHERE id = ?',
+    [cancellation.fee, reason, order.id]
+  );
+  if (cancellation.fee > 0) {
+    await db(
+      'INSERT INTO order_charges (order_id, charge_type, amount, description, created_by) VALUES (?, ?, ?, ?, ?)',
+      [order.id, 'cancellation_fee', cancellation.fee,
+        `Cancelled ${cancellation.daysBeforeStart} day(s) before start: ${cancellation.feePercent}% of ${parseFloat(order.total_amount).toFixed(2)}`, actorId]
+    );
+    await db(
+      'UPDATE orders SET charges_total = (SELECT COALESCE(SUM(amount), 0) FROM order_charges WHERE order_id = ?) WHERE id = ?',
+      [order.id, order.id]
+    );
+  }
+  return { orderId: order.id, reason, ...cancellation };
+};
+
+module.exports = { calculateCancellationFee, cancelOrder };
@@ -0,0 +1,122 @@
+const { toDateKey, checkAvailability } = require('./availability');
+const { effectiveDailyRate } = require('./pricing');
+const { withEffectivePrices } = require('./sales');
+const { lockProducts } = require('./bundles');
+const { getProductAddons } = require('./addons');
+const { parseIdList } = require('./coupons');
+
+const laterOf = (a, b) => (!a ? b : !b ? a : new Date(a) > new Date(b) ? a : b);
+
+// Move a guest session's cart into a user's cart at login. Each guest row is
+// re-checked: rows for products that are gone or dates in the past are
+// dropped, a row for the same product and dates as one the user already has
+// is combined with it (larger quantity, union of add-ons), quantities are cut
+// to what is still free, add-ons no longer offered are dropped and the price
+// snapshot is refreshed to today's rate. Returns what happened to each row.
+// Run inside a transaction.
+const mergeGuestCart = async (userId, guestSessionId, txQuery) => {
+  if (!guestSessionId) return [];
+  const guestRows = await txQuery(
+    'SELECT * FROM cart WHERE guest_session_id = ? AND user_id IS NULL ORDER BY id FOR UPDATE',
+    [guestSessionId]
+  );
+  if (guestRows.length === 0) return [];
+
+  await lockProducts(guestRows.map(row => row.product_id), txQuery);
+  const productIds = [...new Set(guestRows.map(row => row.product_id))];
+  const userRows = await txQuery(
+    `SELECT * FROM cart WHERE user_id = ? AND product_id IN (${productIds.map(() => '?').join(', ')}) FOR UPDATE`,
+    [userId, ...productIds]
+  );
+  const productRows = await txQuery(
+    `SELECT id, name, category_id, price_per_day, sale_price FROM products
+     WHERE available = TRUE AND is_deleted = FALSE AND id IN (${productIds.map(() => '?').join(', ')})`,
+    productIds
+  );
+  const products = new Map((await withEffectivePrices(productRows, txQuery)).map(product => [product.id, product]));
+  const today = toDateKey(new Date());
+  const report = [];
+
+  for (const row of guestRows) {
+    const product = products.get(row.product_id);
+    const entry = {
+      cartId: row.id,
+      productId: row.product_id,
+      productName: product ? product.name : null,
+      startDate: toDateKey(row.start_date),
+      endDate: toDateKey(row.end_date),
+      changes: [],
+    };
+    report.push(entry);
+
+    if (!product || entry.startDate < today) {
+      await txQuery('DELETE FROM cart WHERE id = ?', [row.id]);
+      entry.action = 'removed';
+      entry.reason = product ? 'past_dates' : 'product_unavailable';
+      continue;
+    }
+
+    const existing = userRows.find(userRow => userRow.product_id === row.product_id
+      && toDateKey(userRow.start_date) === entry.startDate && toDateKey(userRow.end_date) === entry.endDate);
+    let quantity = existing ? Math.max(row.quantity, existing.quantity) : row.quantity;
+    let addonIds = [...new Set([...parseIdList(row.addon_ids), ...parseIdList(existing && existing.addon_ids)])];
+
+    const availability = await checkAvailability({
+      productId: row.product_id,
+      startDate: entry.startDate,
+      endDate: entry.endDate,
+      quantity,
+      excludeCartIds: existing ? [row.id, existing.id] : [row.id],
+    }, txQuery);
+    if (!availability.available) {
+      if (availability.free <= 0) {
+        await txQuery('DELETE FROM cart WHERE id = ?', [row.id]);
+        entry.action = 'removed';
+        entry.reason = 'unavailable';
+        continue;
+      }
+      entry.changes.push({ type: 'quantity_reduced', from: quantity, to: availability.free });
+      quantity = availability.free;
+    }
+
+    const offered = (await getProductAddons(product, txQuery)).map(addon => addon.id);
+    const droppedAddons = addonIds.filter(id => !offered.includes(id));
+    if (droppedAddons.length > 0) {
+      entry.changes.push({ type: 'addons_removed', addonIds: droppedAddons });
+      addonIds = addonIds.filter(id => offered.includes(id));
+    }
+
+    const rate = effectiveDailyRate(product);
+    const previousRate = parseFloat((existing || row).price_snapshot);
+    if (previousRate !== rate) {
+      entry.changes.push({ type: 'price_changed', from: previousRate, to: rate });
+    }
+
+    const fields = [quantity, rate, addonIds.length > 0 ? JSON.stringify(addonIds) : null];
+    if (existing) {
+      await txQuery(
+        'UPDATE cart SET quantity = ?, price_snapshot = ?, addon_ids = ?, hold_expires_at = ? WHERE id = ?',
+        [...fields, laterOf(existing.hold_expires_at, row.hold_expires_at), existing.id]
+      );
+      await txQuery('DELETE FROM cart WHERE id = ?', [row.id]);
+      // Later guest rows for the same line combine with the updated row
+      Object.assign(existing, { quantity, addon_ids: fields[2], price_snapshot: rate });
+      entry.action = 'combined';
+      entry.cartId = existing.id;
+      entry.mergedCartId = row.id;
+    } else {
+      await txQuery(
+        'UPDATE cart SET user_id = ?, guest_session_id = NULL, quantity = ?, price_snapshot = ?, addon_ids = ? WHERE id = ?',
+        [userId, ...fields, row.id]
+      );
+      userRows.push({ ...row, user_id: userId, quantity, addon_ids: fields[2], price_snapshot: rate });
+      entry.action = 'moved';
+    }
+    entry.quantity = quantity;
+  }
+
+  console.log('Merged guest cart:', { userId, guestSessionId, report });
+  return report;
+};
+
+module.exports = { mergeGuestCart };
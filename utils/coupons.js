@@ -0,0 +1,85 @@
+const { query } = require('./db');
+const { roundMoney } = require('./pricing');
+
+const DISCOUNT_TYPES = ['percent', 'fixed'];
+
+const couponError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// product_ids / category_ids are stored as JSON arrays; empty means unrestricted
+const parseIdList = (value) => {
+  let ids = value;
+  if (typeof value === 'string') {
+    try {
+      ids = JSON.parse(value);
+    } catch (error) {
+      return [];
+    }
+  }
+  return Array.isArray(ids) ? ids.map(id => parseInt(id)).filter(Boolean) : [];
+};
+
+// Redemptions on orders that were not cancelled or rejected. A locking read,
+// so inside the placement transaction it sees redemptions committed after the
+// transaction's snapshot was taken.
+const countRedemptions = async (couponId, { userId, email } = {}, db = query) => {
+  let sql = `SELECT COUNT(*) AS count
+             FROM coupon_redemptions r
+             JOIN orders o ON r.order_id = o.id
+             WHERE r.coupon_id = ? AND o.status NOT IN ('cancelled', 'rejected')`;
+  const params = [couponId];
+  if (userId || email) {
+    sql += ' AND (r.user_id = ? OR r.email = ?)';
+    params.push(userId || null, email || null);
+  }
+  const [row] = await db(`${sql} FOR SHARE`, params);
+  return parseInt(row.count) || 0;
+};
+
+// Validate a coupon code against quoted lines and work out its discount.
+// `items` are quote lines carrying product_id, category_id and subtotal. The
+// coupon row is read FOR UPDATE and redemptions are counted with a locking
+// read so, inside the placement transaction, two orders cannot both take its
+// last redemption.
+const applyCoupon = async ({ code, items, subtotal, userId, email }, db = query) => {
+  const [coupon] = await db('SELECT * FROM coupons WHERE code = ? FOR UPDATE', [String(code).trim().toUpperCase()]);
+  if (!coupon || !coupon.is_active) {
+    throw couponError('Invalid coupon code');
+  }
+  const now = new Date();
+  if ((coupon.starts_at && new Date(coupon.starts_at) > now) || (coupon.ends_at && new Date(coupon.ends_at) < now)) {
+    throw couponError('Coupon is not valid at this time');
+  }
+  if (coupon.min_order_value !== null && subtotal < parseFloat(coupon.min_order_value)) {
+    throw couponError(`Coupon requires a minimum order of ${parseFloat(coupon.min_order_value).toFixed(2)}`);
+  }
+  if (coupon.max_redemptions !== null && await countRedemptions(coupon.id, {}, db) >= coupon.max_redemptions) {
+    throw couponError('Coupon has reached its redemption limit');
+  }
+  if (coupon.max_redemptions_per_customer !== null && (userId || email)
+    && await countRedemptions(coupon.id, { userId, email }, db) >= coupon.max_redemptions_per_customer) {
+    throw couponError('You have already used this coupon the maximum number of times');
+  }
+
+  const productIds = parseIdList(coupon.product_ids);
+  const categoryIds = parseIdList(coupon.category_ids);
+  const restricted = productIds.length > 0 || categoryIds.length > 0;
+  const eligibleSubtotal = roundMoney(items
+    .filter(item => !restricted || productIds.includes(item.product_id) || categoryIds.includes(item.category_id))
+    .reduce((sum, item) => sum + item.subtotal, 0));
+  if (eligibleSubtotal <= 0) {
+    throw couponError('Coupon does not apply to any item in this order');
+  }
+
+  const value = parseFloat(coupon.discount_value);
+  const discount = coupon.discount_type === 'percent'
+    ? roundMoney(eligibleSubtotal * value / 100)
+    : roundMoney(Math.min(value, eligibleSubtotal));
+
+  return { id: coupon.id, code: coupon.code, discountType: coupon.discount_type, discountValue: value, eligibleSubtotal, discount };
+};
+
+module.exports = { DISCOUNT_TYPES, parseIdList, applyCoupon };
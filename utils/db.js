@@ -19,6 +19,37 @@ module.exports = {
       throw error;
     }
   },
+  // Run `work` inside a single-connection transaction. `work` receives a
+  // query function bound to that connection so row locks (FOR UPDATE) hold
+  // until commit.
+  transaction: async (work) => {
+    const connection = await pool.getConnection();
+    const txQuery = async (sql, params) => {
+      try {
+        const [results] = await connection.execute(sql, params);
+        console.log(`Transaction query executed successfully: ${sql}`, { params, resultCount: results?.length || 0 });
+        return results;
+      } catch (error) {
+        console.error('Transaction query error:', {
+          sql,
+          params,
+          error: error.message,
+        });
+        throw error;
+      }
+    };
+    try {
+      await connection.beginTransaction();
+      const result = await work(txQuery);
+      await connection.commit();
+      return result;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  },
   pool, // Export pool for raw queries
 };
 
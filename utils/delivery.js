@@ -0,0 +1,176 @@
+const { query } = require('./db');
+const { config } = require('../config');
+const { toDateKey } = require('./availability');
+const { roundMoney } = require('./pricing');
+const { parseJsonList } = require('./handovers');
+
+const FULFILLMENT_METHODS = ['pickup', 'delivery'];
+const ZONE_TYPES = ['postcodes', 'distance'];
+const SLOT_TYPES = ['delivery', 'collection'];
+
+// Orders in these statuses no longer take up a slot
+const SLOT_RELEASING_STATUSES = ['cancelled', 'rejected'];
+
+const deliveryError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const normalizePostcode = postcode => String(postcode || '').toUpperCase().replace(/\s+/g, '');
+
+// Straight-line distance in km between two points (haversine)
+const distanceKm = (from, to) => {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// The delivery zone for an address: a postcode zone by longest matching
+// prefix first, otherwise the distance band the coordinates fall in.
+// Returns { zone, distanceKm } or throws 400 when the address is not covered.
+const resolveDeliveryZone = async ({ postcode, latitude, longitude }, db = query) => {
+  const zones = await db('SELECT * FROM delivery_zones WHERE is_active = TRUE');
+  const code = normalizePostcode(postcode);
+
+  if (code) {
+    let best = null;
+    for (const zone of zones.filter(zone => zone.zone_type === 'postcodes')) {
+      for (const prefix of parseJsonList(zone.postcodes).map(normalizePostcode)) {
+        if (prefix && code.startsWith(prefix) && (!best || prefix.length > best.prefix.length)) {
+          best = { zone, prefix };
+        }
+      }
+    }
+    if (best) {
+      return { zone: best.zone, distanceKm: null };
+    }
+  }
+
+  const hasCoordinates = latitude !== undefined && latitude !== null && longitude !== undefined && longitude !== null;
+  const { depot } = config.delivery;
+  if (hasCoordinates && depot.latitude !== null && depot.longitude !== null) {
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+    if (isNaN(lat) || isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      throw deliveryError('Invalid delivery coordinates');
+    }
+    const distance = roundMoney(distanceKm(depot, { latitude: lat, longitude: lng }));
+    const band = zones
+      .filter(zone => zone.zone_type === 'distance'
+        && distance >= (parseFloat(zone.min_distance_km) || 0)
+        && (zone.max_distance_km === null || distance < parseFloat(zone.max_distance_km)))
+      .sort((a, b) => parseFloat(a.fee) - parseFloat(b.fee))[0];
+    if (band) {
+      return { zone: band, distanceKm: distance };
+    }
+  }
+
+  if (!code && !hasCoordinates) {
+    throw deliveryError('Delivery needs a postcode or coordinates');
+  }
+  throw deliveryError('We do not deliver to this address');
+};
+
+// Booked orders per slot, ignoring cancelled and rejected orders and the
+// order `excludeOrderId` (one being moved keeps its own place). With `lock`
+// the orders are read with FOR SHARE, so inside a transaction the count
+// includes bookings committed after its snapshot was taken.
+const countSlotBookings = async (slotIds, db = query, { lock = false, excludeOrderId = null } = {}) => {
+  const counts = new Map(slotIds.map(id => [id, 0]));
+  if (slotIds.length === 0) return counts;
+  for (const column of ['delivery_slot_id', 'collection_slot_id']) {
+    const rows = await db(
+      `SELECT ${column} AS slot_id, COUNT(*) AS booked FROM orders
+       WHERE ${column} IN (${slotIds.map(() => '?').join(', ')}) AND status NOT IN (${SLOT_RELEASING_STATUSES.map(() => '?').join(', ')})${excludeOrderId ? ' AND id != ?' : ''}
+       GROUP BY ${column}${lock ? ' FOR SHARE' : ''}`,
+      [...slotIds, ...SLOT_RELEASING_STATUSES, ...(excludeOrderId ? [excludeOrderId] : [])]
+    );
+    rows.forEach(row => counts.set(row.slot_id, (counts.get(row.slot_id) || 0) + (parseInt(row.booked) || 0)));
+  }
+  return counts;
+};
+
+// Slots with their booked count and remaining capacity
+const withSlotCapacity = async (slots, db = query, { lock = false, excludeOrderId = null } = {}) => {
+  const counts = await countSlotBookings(slots.map(slot => slot.id), db, { lock, excludeOrderId });
+  return slots.map(slot => {
+    const booked = counts.get(slot.id) || 0;
+    return { ...slot, slot_date: toDateKey(slot.slot_date), booked, remaining: Math.max(0, slot.capacity - booked) };
+  });
+};
+
+// Check a slot the customer picked: right type, active, on the required day
+// and not full. Pass `lock` inside the placement transaction: the slot row is
+// locked and its bookings counted with a locking read, so two orders cannot
+// take the last place. `excludeOrderId` leaves an order's own booking out of
+// the count when it is moved.
+const checkSlot = async (slotId, { slotType, date, lock = false, excludeOrderId = null }, db = query) => {
+  const [slot] = await db(`SELECT * FROM delivery_slots WHERE id = ?${lock ? ' FOR UPDATE' : ''}`, [slotId]);
+  if (!slot || !slot.is_active || slot.slot_type !== slotType) {
+    throw deliveryError(`${slotType === 'delivery' ? 'Delivery' : 'Collection'} slot ${slotId} not found`, 404);
+  }
+  if (toDateKey(slot.slot_date) !== date) {
+    throw deliveryError(`${slotType === 'delivery' ? 'Delivery' : 'Collection'} slot must be on ${date}`);
+  }
+  const [withCapacity] = await withSlotCapacity([slot], db, { lock, excludeOrderId });
+  if (withCapacity.remaining <= 0) {
+    throw deliveryError(`${slotType === 'delivery' ? 'Delivery' : 'Collection'} slot is fully booked`, 409);
+  }
+  return withCapacity;
+};
+
+// Resolve how an order is fulfilled and what it costs. `fulfillment` is
+// { method, postcode, latitude, longitude, deliverySlotId, collectionSlotId }.
+// Deliveries arrive on the first rental day and are collected on the last
+// (the latest end date); slots are optional for a quote and checked when given.
+const resolveFulfillment = async (fulfillment = {}, items, { lockSlots = false } = {}, db = query) => {
+  const method = fulfillment.method || 'pickup';
+  if (!FULFILLMENT_METHODS.includes(method)) {
+    throw deliveryError(`fulfillmentMethod must be one of ${FULFILLMENT_METHODS.join(', ')}`);
+  }
+  if (method === 'pickup') {
+    return { method, fee: 0, zone: null, distanceKm: null, postcode: null, latitude: null, longitude: null, deliverySlot: null, collectionSlot: null };
+  }
+
+  const { zone, distanceKm: distance } = await resolveDeliveryZone(fulfillment, db);
+  const deliveryDate = items.map(item => toDateKey(item.start_date)).sort()[0];
+  const collectionDate = items.map(item => toDateKey(item.end_date)).sort().reverse()[0];
+  const deliverySlot = fulfillment.deliverySlotId
+    ? await checkSlot(fulfillment.deliverySlotId, { slotType: 'delivery', date: deliveryDate, lock: lockSlots }, db)
+    : null;
+  const collectionSlot = fulfillment.collectionSlotId
+    ? await checkSlot(fulfillment.collectionSlotId, { slotType: 'collection', date: collectionDate, lock: lockSlots }, db)
+    : null;
+
+  return {
+    method,
+    fee: roundMoney(parseFloat(zone.fee) || 0),
+    zone: { id: zone.id, name: zone.name },
+    distanceKm: distance,
+    postcode: fulfillment.postcode ? String(fulfillment.postcode).trim().toUpperCase() : null,
+    latitude: fulfillment.latitude !== undefined && fulfillment.latitude !== null ? parseFloat(fulfillment.latitude) : null,
+    longitude: fulfillment.longitude !== undefined && fulfillment.longitude !== null ? parseFloat(fulfillment.longitude) : null,
+    deliveryDate,
+    collectionDate,
+    deliverySlot,
+    collectionSlot,
+  };
+};
+
+module.exports = {
+  FULFILLMENT_METHODS,
+  ZONE_TYPES,
+  SLOT_TYPES,
+  SLOT_RELEASING_STATUSES,
+  normalizePostcode,
+  distanceKm,
+  resolveDeliveryZone,
+  countSlotBookings,
+  withSlotCapacity,
+  checkSlot,
+  resolveFulfillment,
+};
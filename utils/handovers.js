@@ -0,0 +1,72 @@
+const { query } = require('./db');
+
+const HANDOVER_TYPES = ['pickup', 'return'];
+const MAX_HANDOVER_PHOTOS = 20;
+
+const parseJsonList = (value) => {
+  if (!value) return [];
+  try {
+    const list = JSON.parse(value);
+    return Array.isArray(list) ? list : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+// Validate the handover body. `checklist` is [{ label, checked, note }],
+// `accessoriesReturned` a list of accessory names (returns only).
+// Returns { fields } or { error }.
+const parseHandoverInput = (body, type) => {
+  const { checklist = [], conditionNotes, accessoriesReturned = [] } = body;
+  if (!Array.isArray(checklist)) {
+    return { error: 'checklist must be an array of { label, checked, note }' };
+  }
+  const entries = [];
+  for (const entry of checklist) {
+    if (!entry || typeof entry.label !== 'string' || entry.label.trim() === '') {
+      return { error: 'Each checklist entry needs a label' };
+    }
+    entries.push({ label: entry.label.trim(), checked: !!entry.checked, note: entry.note ? String(entry.note) : null });
+  }
+  if (!Array.isArray(accessoriesReturned) || accessoriesReturned.some(name => typeof name !== 'string')) {
+    return { error: 'accessoriesReturned must be an array of names' };
+  }
+  if (type !== 'return' && accessoriesReturned.length > 0) {
+    return { error: 'accessoriesReturned only applies to return handovers' };
+  }
+  return {
+    fields: {
+      checklist: JSON.stringify(entries),
+      condition_notes: conditionNotes ? String(conditionNotes) : null,
+      accessories_returned: type === 'return' ? JSON.stringify(accessoriesReturned.map(name => name.trim()).filter(Boolean)) : null,
+    },
+  };
+};
+
+// Handover records of the given orders with their JSON columns parsed,
+// grouped by order id
+const getHandoversByOrder = async (orderIds, db = query) => {
+  const ids = [...new Set(orderIds.map(id => parseInt(id)).filter(Boolean))];
+  const byOrder = new Map(ids.map(id => [id, []]));
+  if (ids.length === 0) return byOrder;
+  const rows = await db(
+    `SELECT h.*, oi.product_id, COALESCE(oi.product_name, p.name) AS product_name
+     FROM order_item_handovers h
+     JOIN order_items oi ON h.order_item_id = oi.id
+     LEFT JOIN products p ON oi.product_id = p.id
+     WHERE h.order_id IN (${ids.map(() => '?').join(', ')})
+     ORDER BY h.order_item_id, h.handover_type = 'return', h.created_at`,
+    ids
+  );
+  for (const row of rows) {
+    byOrder.get(row.order_id).push({
+      ...row,
+      checklist: parseJsonList(row.checklist),
+      accessories_returned: row.handover_type === 'return' ? parseJsonList(row.accessories_returned) : null,
+      photo_urls: parseJsonList(row.photo_urls),
+    });
+  }
+  return byOrder;
+};
+
+module.exports = { HANDOVER_TYPES, MAX_HANDOVER_PHOTOS, parseJsonList, parseHandoverInput, getHandoversByOrder };
@@ -0,0 +1,110 @@
+const { query } = require('./db');
+const { COMMITTED_STATUSES, BOOKABLE_UNIT_STATUSES, toDateKey } = require('./availability');
+
+const UNIT_STATUSES = ['in_stock', 'out', 'maintenance', 'retired'];
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const conflictError = (message) => {
+  const error = new Error(message);
+  error.status = 409;
+  return error;
+};
+
+// Check a unit can serve an order item over the item's [start_date, end_date):
+// no unit blackout (end_date inclusive) overlapping the rental and no other
+// committed booking it is already assigned to for overlapping dates. Both are
+// locking reads so, with the unit row locked first, they see assignments
+// committed by concurrent approvals and date changes.
+const checkUnitBookable = async (unit, item, db = query) => {
+  const [blackout] = await db(
+    'SELECT start_date, end_date, reason FROM product_blackouts WHERE unit_id = ? AND start_date < ? AND end_date >= ? LIMIT 1 FOR SHARE',
+    [unit.id, item.end_date, item.start_date]
+  );
+  if (blackout) {
+    throw conflictError(`Unit ${unit.serial_number} is blacked out (${blackout.reason}) from ${toDateKey(blackout.start_date)} to ${toDateKey(blackout.end_date)}`);
+  }
+
+  const placeholders = COMMITTED_STATUSES.map(() => '?').join(', ');
+  const [conflict] = await db(
+    `SELECT oi.order_id
+     FROM order_item_units oiu
+     JOIN order_items oi ON oiu.order_item_id = oi.id
+     JOIN orders o ON oi.order_id = o.id
+     WHERE oiu.unit_id = ? AND oi.id != ? AND o.status IN (${placeholders})
+       AND oi.start_date < ? AND oi.end_date > ?
+     LIMIT 1
+     FOR SHARE`,
+    [unit.id, item.id, ...COMMITTED_STATUSES, item.end_date, item.start_date]
+  );
+  if (conflict) {
+    throw conflictError(`Unit ${unit.serial_number} is already assigned to order ${conflict.order_id} for overlapping dates`);
+  }
+};
+
+// Keep a serialized product's stock_quantity, which the availability checks
+// use, equal to its bookable units. Products without units keep the stock
+// admins set on them. Call after adding units or changing their status.
+const syncUnitStock = async (productId, db = query) => {
+  const placeholders = BOOKABLE_UNIT_STATUSES.map(() => '?').join(', ');
+  await db(
+    `UPDATE products
+     SET stock_quantity = (SELECT COUNT(*) FROM inventory_units WHERE product_id = ? AND status IN (${placeholders}))
+     WHERE id = ? AND EXISTS (SELECT 1 FROM inventory_units WHERE product_id = ?)`,
+    [productId, ...BOOKABLE_UNIT_STATUSES, productId, productId]
+  );
+};
+
+// Assign specific units to the items of an order. `assignments` is
+// [{ orderItemId, unitIds: [...] }]; each item must receive exactly as many
+// units as it has quantity, and no unit may be blacked out or already out on
+// an overlapping booking. Run inside the transaction that approves the order;
+// every unit is locked, in id order, before anything else is read.
+const assignUnitsToOrder = async (orderId, assignments, adminId, db = query) => {
+  for (const { orderItemId, unitIds } of assignments) {
+    if (!Array.isArray(unitIds) || unitIds.length === 0) {
+      throw badRequest(`unitIds are required for order item ${orderItemId}`);
+    }
+  }
+  const allUnitIds = [...new Set(assignments.flatMap(({ unitIds }) => unitIds.map(id => parseInt(id)).filter(Boolean)))].sort((a, b) => a - b);
+  const lockedUnits = allUnitIds.length > 0
+    ? await db(`SELECT * FROM inventory_units WHERE id IN (${allUnitIds.map(() => '?').join(', ')}) ORDER BY id FOR UPDATE`, allUnitIds)
+    : [];
+  const units = new Map(lockedUnits.map(unit => [unit.id, unit]));
+
+  for (const { orderItemId, unitIds } of assignments) {
+    const [item] = await db('SELECT * FROM order_items WHERE id = ? AND order_id = ? FOR UPDATE', [orderItemId || null, orderId]);
+    if (!item) {
+      throw badRequest(`Order item ${orderItemId} does not belong to order ${orderId}`);
+    }
+    const uniqueUnitIds = [...new Set(unitIds.map(id => parseInt(id)))];
+    if (uniqueUnitIds.length !== item.quantity) {
+      throw badRequest(`Order item ${orderItemId} needs exactly ${item.quantity} unit(s)`);
+    }
+
+    // Replace any earlier assignment for this item
+    await db('DELETE FROM order_item_units WHERE order_item_id = ?', [item.id]);
+
+    for (const unitId of uniqueUnitIds) {
+      const unit = units.get(unitId);
+      if (!unit || unit.product_id !== item.product_id) {
+        throw badRequest(`Unit ${unitId} is not a unit of product ${item.product_id}`);
+      }
+      if (unit.status === 'maintenance' || unit.status === 'retired') {
+        throw badRequest(`Unit ${unit.serial_number} is ${unit.status}`);
+      }
+      await checkUnitBookable(unit, item, db);
+
+      await db(
+        'INSERT INTO order_item_units (order_item_id, unit_id, assigned_by) VALUES (?, ?, ?)',
+        [item.id, unitId, adminId || null]
+      );
+    }
+  }
+};
+
+module.exports = { UNIT_STATUSES, BOOKABLE_UNIT_STATUSES, checkUnitBookable, syncUnitStock, assignUnitsToOrder };
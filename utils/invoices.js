@@ -0,0 +1,233 @@
+const PDFDocument = require('pdfkit');
+const { query, transaction } = require('./db');
+const { config } = require('../config');
+const { toDateKey } = require('./availability');
+const { roundMoney } = require('./pricing');
+
+// Orders that have not been accepted get no invoice
+const NON_INVOICEABLE_STATUSES = ['pending', 'rejected'];
+
+const invoiceError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// The order's invoice, issuing it on first request. The number comes from the
+// single invoice_sequence row, locked so concurrent issues stay sequential.
+// The billed lines and totals are snapshotted with it, so neither the number
+// nor what it bills changes, whatever later happens to the order. Run inside
+// a transaction.
+const issueInvoice = async (orderId, db) => {
+  const [order] = await db('SELECT id, status FROM orders WHERE id = ? FOR UPDATE', [orderId]);
+  if (!order) {
+    throw invoiceError('Order not found', 404);
+  }
+  const [existing] = await db('SELECT * FROM invoices WHERE order_id = ?', [order.id]);
+  if (existing) {
+    if (existing.snapshot === null) {
+      // Issued before snapshots existed; freeze it as it stands now
+      existing.snapshot = JSON.stringify(await getInvoiceData(order.id, db));
+      await db('UPDATE invoices SET snapshot = ? WHERE id = ?', [existing.snapshot, existing.id]);
+    }
+    return existing;
+  }
+  if (NON_INVOICEABLE_STATUSES.includes(order.status)) {
+    throw invoiceError(`No invoice is issued for a ${order.status} order`, 409);
+  }
+
+  const [sequence] = await db('SELECT last_number FROM invoice_sequence WHERE id = 1 FOR UPDATE');
+  if (!sequence) {
+    throw new Error('invoice_sequence is not initialised (run migrations/018_invoices.sql)');
+  }
+  const sequenceNumber = sequence.last_number + 1;
+  const invoiceNumber = `${config.invoice.numberPrefix}${String(sequenceNumber).padStart(6, '0')}`;
+  await db('UPDATE invoice_sequence SET last_number = ? WHERE id = 1', [sequenceNumber]);
+  const snapshot = JSON.stringify(await getInvoiceData(order.id, db));
+  const result = await db(
+    'INSERT INTO invoices (order_id, sequence_number, invoice_number, snapshot) VALUES (?, ?, ?, ?)',
+    [order.id, sequenceNumber, invoiceNumber, snapshot]
+  );
+  console.log('Issued invoice:', { orderId: order.id, invoiceNumber });
+  const [invoice] = await db('SELECT * FROM invoices WHERE id = ?', [result.insertId]);
+  return invoice;
+};
+
+// What an invoice bills, as snapshotted when it is issued: the order, its
+// top-level lines with their add-ons and bundle components, and the charges so far
+const getInvoiceData = async (orderId, db = query) => {
+  const [order] = await db('SELECT * FROM orders WHERE id = ?', [orderId]);
+  const rows = await db(
+    `SELECT oi.*, COALESCE(oi.product_name, p.name) AS product_name
+     FROM order_items oi
+     LEFT JOIN products p ON oi.product_id = p.id
+     WHERE oi.order_id = ?
+     ORDER BY oi.id`,
+    [orderId]
+  );
+  const addons = await db(
+    `SELECT a.* FROM order_item_addons a
+     JOIN order_items oi ON a.order_item_id = oi.id
+     WHERE oi.order_id = ?
+     ORDER BY a.id`,
+    [orderId]
+  );
+  const charges = await db('SELECT * FROM order_charges WHERE order_id = ? ORDER BY created_at, id', [orderId]);
+
+  const items = rows.filter(row => !row.parent_item_id).map(row => ({
+    ...row,
+    components: rows.filter(component => component.parent_item_id === row.id),
+    addons: addons.filter(addon => addon.order_item_id === row.id),
+  }));
+  return { order, items, charges };
+};
+
+// Where an order stands now, printed next to the snapshot: order, payment and
+// deposit status and the deposit settlement
+const getInvoiceStatus = async (orderId, db = query) => {
+  const [order] = await db('SELECT status, payment_status, paid_at, deposit_status FROM orders WHERE id = ?', [orderId]);
+  const [depositSettlement] = await db('SELECT * FROM deposit_settlements WHERE order_id = ?', [orderId]);
+  return { ...order, depositSettlement: depositSettlement || null };
+};
+
+const formatMoney = (amount) => new Intl.NumberFormat('en-US', { style: 'currency', currency: config.invoice.currency })
+  .format(parseFloat(amount) || 0);
+
+const formatDate = (value) => (value ? toDateKey(value instanceof Date ? value : new Date(value)) : '');
+
+// Render an invoice to a PDF buffer locally with pdfkit; `data` is its
+// snapshot and `status` the order's current state (getInvoiceStatus)
+const renderInvoicePdf = (invoice, { order, items, charges }, status) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const { company } = config.invoice;
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+  const columns = { description: left, dates: left + 215, quantity: left + 330, rate: left + 370, amount: left + 435 };
+  const ensureSpace = (height) => {
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+  };
+  const row = (cells, { bold = false, indent = 0 } = {}) => {
+    ensureSpace(30);
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    doc.text(cells.description, columns.description + indent, y, { width: columns.dates - columns.description - indent - 10 });
+    const bottom = doc.y;
+    if (cells.dates) doc.text(cells.dates, columns.dates, y, { width: columns.quantity - columns.dates - 5 });
+    if (cells.quantity !== undefined) doc.text(String(cells.quantity), columns.quantity, y, { width: 35, align: 'right' });
+    if (cells.rate !== undefined) doc.text(cells.rate, columns.rate, y, { width: 60, align: 'right' });
+    if (cells.amount !== undefined) doc.text(cells.amount, columns.amount, y, { width: right - columns.amount, align: 'right' });
+    doc.x = left;
+    doc.y = Math.max(bottom, doc.y) + 4;
+  };
+  const totalLine = (label, amount, bold = false) => {
+    ensureSpace(20);
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 11 : 10);
+    doc.text(label, columns.quantity - 80, y, { width: 190 });
+    doc.text(amount, columns.amount, y, { width: right - columns.amount, align: 'right' });
+    doc.x = left;
+    doc.moveDown(0.3);
+  };
+
+  // Header: company on the left, invoice number and dates on the right
+  doc.font('Helvetica-Bold').fontSize(18).text(company.name, left, 50);
+  doc.font('Helvetica').fontSize(9);
+  [company.address, company.email, company.phone, company.taxId && `Tax ID: ${company.taxId}`]
+    .filter(Boolean)
+    .forEach(line => doc.text(line));
+  const companyBottom = doc.y;
+  doc.font('Helvetica-Bold').fontSize(16).text('INVOICE', left, 50, { align: 'right' });
+  doc.font('Helvetica').fontSize(9)
+    .text(`Invoice no. ${invoice.invoice_number}`, { align: 'right' })
+    .text(`Issued ${formatDate(invoice.issued_at)}`, { align: 'right' })
+    .text(`Order #${order.id} placed ${formatDate(order.created_at)}`, { align: 'right' })
+    .text(`Order status: ${status.status}`, { align: 'right' })
+    .text(`Payment: ${status.payment_status}${status.paid_at ? ` (${formatDate(status.paid_at)})` : ''}`, { align: 'right' });
+
+  doc.x = left;
+  doc.y = Math.max(companyBottom, doc.y);
+  doc.moveDown(2);
+  doc.font('Helvetica-Bold').fontSize(10).text('Bill to');
+  doc.font('Helvetica').fontSize(9);
+  [order.name, order.address, order.email, order.phone].filter(Boolean).forEach(line => doc.text(line));
+  doc.moveDown();
+
+  // Line items
+  row({ description: 'Description', dates: 'Rental period', quantity: 'Qty', rate: 'Rate/day', amount: 'Amount' }, { bold: true });
+  doc.moveTo(left, doc.y).lineTo(right, doc.y).stroke();
+  doc.moveDown(0.3);
+  for (const item of items) {
+    row({
+      description: item.product_name || `Product ${item.product_id}`,
+      dates: `${formatDate(item.start_date)} - ${formatDate(item.end_date)}`,
+      quantity: item.quantity,
+      rate: formatMoney(item.price_per_day),
+      amount: formatMoney(item.total_price),
+    });
+    for (const component of item.components) {
+      row({ description: `Includes: ${component.product_name || `Product ${component.product_id}`} x${component.quantity}` }, { indent: 12 });
+    }
+    for (const addon of item.addons) {
+      row({ description: `Add-on: ${addon.name}`, amount: formatMoney(addon.amount) }, { indent: 12 });
+    }
+  }
+  for (const charge of charges) {
+    row({ description: charge.description || charge.charge_type.replace(/_/g, ' '), dates: formatDate(charge.created_at), amount: formatMoney(charge.amount) });
+  }
+  doc.moveTo(left, doc.y).lineTo(right, doc.y).stroke();
+  doc.moveDown(0.5);
+
+  // Totals. subtotal already includes add-ons; charges come on top of the order total.
+  const addonsTotal = parseFloat(order.addons_total) || 0;
+  const chargesTotal = parseFloat(order.charges_total) || 0;
+  const isCancelled = order.status === 'cancelled';
+  totalLine('Rentals', formatMoney(roundMoney(parseFloat(order.subtotal) - addonsTotal)));
+  if (addonsTotal > 0) totalLine('Add-ons', formatMoney(addonsTotal));
+  if (parseFloat(order.discount_total) > 0) totalLine('Discount', `-${formatMoney(order.discount_total)}`);
+  if (parseFloat(order.delivery_fee) > 0) totalLine('Delivery', formatMoney(order.delivery_fee));
+  totalLine('Tax', formatMoney(order.tax_total));
+  if (chargesTotal > 0) totalLine('Additional charges', formatMoney(chargesTotal));
+  totalLine(
+    isCancelled ? 'Total due (cancelled)' : 'Total',
+    formatMoney(isCancelled ? chargesTotal : roundMoney(parseFloat(order.total_amount) + chargesTotal)),
+    true
+  );
+
+  if (parseFloat(order.deposit_total) > 0) {
+    doc.moveDown();
+    totalLine('Refundable security deposit', formatMoney(order.deposit_total));
+    totalLine('Deposit status', status.deposit_status.replace(/_/g, ' '));
+    if (status.depositSettlement) {
+      totalLine('Deposit refunded', formatMoney(status.depositSettlement.refunded_amount));
+      if (parseFloat(status.depositSettlement.withheld_amount) > 0) totalLine('Deposit withheld', formatMoney(status.depositSettlement.withheld_amount));
+    }
+  }
+
+  if (isCancelled) {
+    doc.moveDown();
+    doc.x = left;
+    doc.font('Helvetica').fontSize(9).text(
+      `This order was cancelled on ${formatDate(order.cancelled_at)}. Only the charges listed above are due.`,
+      { width: right - left }
+    );
+  }
+
+  doc.end();
+});
+
+// Issue (if needed) and render the invoice of an order from its snapshot
+const buildInvoicePdf = async (orderId) => {
+  const invoice = await transaction(txQuery => issueInvoice(orderId, txQuery));
+  const status = await getInvoiceStatus(orderId);
+  const pdf = await renderInvoicePdf(invoice, JSON.parse(invoice.snapshot), status);
+  return { invoice, pdf };
+};
+
+module.exports = { NON_INVOICEABLE_STATUSES, issueInvoice, getInvoiceData, getInvoiceStatus, renderInvoicePdf, buildInvoicePdf };
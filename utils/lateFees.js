@@ -0,0 +1,42 @@
+const { config } = require('../config');
+const { roundMoney } = require('./pricing');
+const { toDateKey } = require('./availability');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// A rental is due back at the start of its end_date (local server time): like
+// the availability engine, [start_date, end_date) leaves end_date free for the
+// next rental. The grace period covers returns during that day.
+const dueAt = (endDate) => {
+  const [year, month, day] = toDateKey(endDate).split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// Late fee for one order item returned (or still out) at `returnedAt`.
+// `item` is an order_items row joined with the product's late_fee_per_day,
+// late_fee_grace_hours and late_fee_cap overrides; anything not set on the
+// product falls back to config.lateFees, and the rate to the booked daily rate.
+const calculateLateFee = (item, returnedAt = new Date()) => {
+  const graceHours = item.late_fee_grace_hours !== null && item.late_fee_grace_hours !== undefined
+    ? parseInt(item.late_fee_grace_hours)
+    : config.lateFees.graceHours;
+  const dailyRate = item.late_fee_per_day !== null && item.late_fee_per_day !== undefined
+    ? parseFloat(item.late_fee_per_day)
+    : config.lateFees.dailyRate !== null ? config.lateFees.dailyRate : parseFloat(item.price_per_day);
+
+  const overdueMs = new Date(returnedAt) - dueAt(item.end_date) - graceHours * HOUR_MS;
+  const lateDays = overdueMs > 0 ? Math.ceil(overdueMs / DAY_MS) : 0;
+  const quantity = parseInt(item.quantity) || 0;
+
+  let perUnit = lateDays * dailyRate;
+  if (item.late_fee_cap !== null && item.late_fee_cap !== undefined) {
+    perUnit = Math.min(perUnit, parseFloat(item.late_fee_cap));
+  } else if (config.lateFees.capDays !== null) {
+    perUnit = Math.min(perUnit, config.lateFees.capDays * dailyRate);
+  }
+
+  return { lateDays, dailyRate, graceHours, amount: roundMoney(perUnit * quantity) };
+};
+
+module.exports = { dueAt, calculateLateFee };
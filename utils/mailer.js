@@ -0,0 +1,28 @@
+const nodemailer = require('nodemailer');
+const { config } = require('../config');
+
+// SMTP transport from config.mail; null when no host is configured
+const transporter = config.mail.host
+  ? nodemailer.createTransport({
+      host: config.mail.host,
+      port: config.mail.port,
+      secure: config.mail.secure,
+      auth: config.mail.user ? { user: config.mail.user, pass: config.mail.password } : undefined,
+    })
+  : null;
+
+// Send a plain-text email. Without SMTP settings (local development) the
+// message is logged instead so flows that depend on it can still be tried;
+// the `redact` strings (codes, tokens) are masked in that log line.
+const sendMail = async ({ to, subject, text, redact = [] }) => {
+  if (!transporter) {
+    const logged = redact.filter(Boolean).reduce((masked, secret) => masked.split(String(secret)).join('[redacted]'), text);
+    console.log('Mail not configured, would send:', { to, subject, text: logged });
+    return { logged: true };
+  }
+  const info = await transporter.sendMail({ from: config.mail.from, to, subject, text });
+  console.log('Mail sent:', { to, subject, messageId: info.messageId });
+  return info;
+};
+
+module.exports = { sendMail };
@@ -0,0 +1,188 @@
+const { query } = require('./db');
+const { config } = require('../config');
+const { toDateKey } = require('./availability');
+const { roundMoney, rentalDays } = require('./pricing');
+const { priceAddons } = require('./addons');
+const { lockProducts } = require('./bundles');
+const { checkUnitBookable } = require('./inventoryUnits');
+const { buildOrderQuote } = require('./orderQuote');
+
+const CHANGE_REQUEST_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Orders whose lines can still be moved; once picked up only the end date can change
+const CHANGEABLE_ORDER_STATUSES = ['pending', 'approved', 'picked_up'];
+
+const changeError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Check a requested date change of an order item (joined with its order's
+// status) and price it through the same quote path as POST /api/orders. The
+// item's own booking is left out of the availability check. Days the new
+// range shares with the booked one keep their booked (per-day average) price;
+// only added days are charged at the quoted rate for the new rental length,
+// and dropped days are refunded at the booked price. Add-ons are repriced at
+// the rates they were sold at. Deltas are new minus booked.
+const quoteItemChange = async (item, { startDate, endDate }, db = query) => {
+  if (item.parent_item_id) {
+    throw changeError('Bundle components change with their bundle');
+  }
+  if (!CHANGEABLE_ORDER_STATUSES.includes(item.order_status)) {
+    throw changeError(`Items of a ${item.order_status} order cannot be changed`, 409);
+  }
+  if (item.returned_at) {
+    throw changeError('Item has already been returned', 409);
+  }
+
+  const startKey = toDateKey(startDate);
+  const endKey = toDateKey(endDate);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(startKey) || !/^\d{4}-\d{2}-\d{2}$/.test(endKey) || isNaN(Date.parse(startKey)) || isNaN(Date.parse(endKey))) {
+    throw changeError('startDate and endDate must be dates in YYYY-MM-DD format');
+  }
+  if (startKey >= endKey) {
+    throw changeError('End date must be after start date');
+  }
+  const originalStart = toDateKey(item.start_date);
+  const originalEnd = toDateKey(item.end_date);
+  if (startKey === originalStart && endKey === originalEnd) {
+    throw changeError('Requested dates are the same as the booked dates');
+  }
+  if (item.picked_up_at && startKey !== originalStart) {
+    throw changeError('The start date cannot change after pickup; only the end date can', 409);
+  }
+  const today = toDateKey(new Date());
+  if (startKey !== originalStart && startKey < today) {
+    throw changeError('Start date cannot be in the past');
+  }
+  if (endKey <= today && endKey !== originalEnd) {
+    throw changeError('End date must be in the future');
+  }
+
+  const quote = await buildOrderQuote({
+    cartItems: [{ productId: item.product_id, start_date: startKey, end_date: endKey, quantity: item.quantity }],
+    excludeOrderItemIds: [item.id],
+  }, db);
+  const [line] = quote.items;
+
+  const bookedTotal = parseFloat(item.total_price);
+  const bookedDays = rentalDays(originalStart, originalEnd);
+  const keptDays = Math.max(0, rentalDays(startKey > originalStart ? startKey : originalStart, endKey < originalEnd ? endKey : originalEnd));
+  const rentalTotal = keptDays > 0
+    ? roundMoney(bookedTotal * keptDays / bookedDays + line.subtotal * (line.days - keptDays) / line.days)
+    : line.subtotal;
+
+  const soldAddons = await db('SELECT * FROM order_item_addons WHERE order_item_id = ?', [item.id]);
+  const addons = priceAddons(
+    soldAddons.map(addon => ({ id: addon.addon_id, name: addon.name, pricing_type: addon.pricing_type, price: addon.price })),
+    { days: line.days, quantity: item.quantity, rentalSubtotal: rentalTotal }
+  ).map((addon, index) => ({ ...addon, order_item_addon_id: soldAddons[index].id }));
+
+  const rentalDelta = roundMoney(rentalTotal - bookedTotal);
+  const addonsDelta = roundMoney(addons.reduce((sum, addon) => sum + addon.amount, 0)
+    - soldAddons.reduce((sum, addon) => sum + parseFloat(addon.amount), 0));
+  const taxDelta = roundMoney((rentalDelta + addonsDelta) * config.pricing.taxRate);
+
+  return {
+    startDate: startKey,
+    endDate: endKey,
+    originalStartDate: originalStart,
+    originalEndDate: originalEnd,
+    line,
+    keptDays,
+    rentalTotal,
+    addons,
+    rentalDelta,
+    addonsDelta,
+    taxDelta,
+    priceDelta: roundMoney(rentalDelta + addonsDelta + taxDelta),
+  };
+};
+
+// Order item with its order's status, locked for the change
+const getChangeableItem = async (orderId, orderItemId, db) => {
+  const [item] = await db(
+    `SELECT oi.*, o.status AS order_status
+     FROM order_items oi
+     JOIN orders o ON oi.order_id = o.id
+     WHERE oi.id = ? AND oi.order_id = ?
+     FOR UPDATE`,
+    [orderItemId, orderId]
+  );
+  if (!item) {
+    throw changeError('Order item not found', 404);
+  }
+  return item;
+};
+
+// Units assigned to an item or its bundle components must still be free over
+// the item's new dates; the admin reassigns them first if not. The units are
+// locked in id order, like assignUnitsToOrder does, and checked with its
+// locking conflict reads, so a concurrent assignment on another order either
+// waits for this change or is seen by it.
+const recheckAssignedUnits = async (itemId, { startDate, endDate }, db) => {
+  const assignments = await db(
+    `SELECT oiu.unit_id, oiu.order_item_id
+     FROM order_item_units oiu
+     JOIN order_items oi ON oiu.order_item_id = oi.id
+     WHERE oi.id = ? OR oi.parent_item_id = ?
+     FOR UPDATE`,
+    [itemId, itemId]
+  );
+  if (assignments.length === 0) return;
+  const unitIds = [...new Set(assignments.map(assignment => assignment.unit_id))].sort((a, b) => a - b);
+  const units = await db(`SELECT * FROM inventory_units WHERE id IN (${unitIds.map(() => '?').join(', ')}) ORDER BY id FOR UPDATE`, unitIds);
+  for (const assignment of assignments) {
+    const unit = units.find(row => row.id === assignment.unit_id);
+    await checkUnitBookable(unit, { id: assignment.order_item_id, start_date: startDate, end_date: endDate }, db);
+  }
+};
+
+// Apply an approved change request inside a transaction: re-check and reprice
+// under product locks, move the item (and bundle components) to the new dates,
+// keep the first booked dates in original_start_date/original_end_date (and
+// the booked rate and tier while any booked day is kept), make
+// sure assigned units are still free, and shift the order totals by the delta.
+// Only locking reads come before the product locks, so the availability check
+// sees bookings committed by concurrent checkouts.
+const applyChangeRequest = async (request, db) => {
+  await db('SELECT id FROM orders WHERE id = ? FOR UPDATE', [request.order_id]);
+  const [locked] = await db('SELECT product_id FROM order_items WHERE id = ? FOR UPDATE', [request.order_item_id]);
+  if (!locked) {
+    throw changeError('Order item not found', 404);
+  }
+  await lockProducts([locked.product_id], db);
+  const item = await getChangeableItem(request.order_id, request.order_item_id, db);
+  const change = await quoteItemChange(item, { startDate: request.requested_start_date, endDate: request.requested_end_date }, db);
+
+  await db(
+    `UPDATE order_items
+     SET original_start_date = COALESCE(original_start_date, start_date),
+         original_end_date = COALESCE(original_end_date, end_date),
+         start_date = ?, end_date = ?, price_per_day = ?, total_price = ?, pricing_tier = ?
+     WHERE id = ?`,
+    [
+      change.startDate,
+      change.endDate,
+      change.keptDays > 0 ? item.price_per_day : change.line.unit_rate,
+      change.rentalTotal,
+      change.keptDays > 0 ? item.pricing_tier : change.line.pricing_tier,
+      item.id,
+    ]
+  );
+  await db('UPDATE order_items SET start_date = ?, end_date = ? WHERE parent_item_id = ?', [change.startDate, change.endDate, item.id]);
+  await recheckAssignedUnits(item.id, change, db);
+  for (const addon of change.addons) {
+    await db('UPDATE order_item_addons SET amount = ? WHERE id = ?', [addon.amount, addon.order_item_addon_id]);
+  }
+  await db(
+    `UPDATE orders
+     SET subtotal = subtotal + ?, addons_total = addons_total + ?, tax_total = tax_total + ?, total_amount = total_amount + ?
+     WHERE id = ?`,
+    [roundMoney(change.rentalDelta + change.addonsDelta), change.addonsDelta, change.taxDelta, change.priceDelta, item.order_id]
+  );
+  return change;
+};
+
+module.exports = { CHANGE_REQUEST_STATUSES, quoteItemChange, getChangeableItem, applyChangeRequest };
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const { query } = require('./db');
+const { config } = require('../config');
+const { sendMail } = require('./mailer');
+
+const CLAIM_METHODS = ['secret_key', 'email_code'];
+
+const claimError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const hashCode = code => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+// Guest orders placed with the user's email address that no account owns yet
+const findClaimableOrders = async (email, db = query) => {
+  if (!email) return [];
+  return db(
+    `SELECT id, status, total_amount, created_at
+     FROM orders
+     WHERE user_id IS NULL AND LOWER(email) = LOWER(?)
+     ORDER BY created_at DESC`,
+    [email]
+  );
+};
+
+// Email the user a one-time code proving they own their address. Earlier
+// unused codes stop working. Account emails are not verified at registration,
+// so nothing is sent and nothing is revealed when there is nothing to claim:
+// the caller answers the same either way. Each code allows maxAttempts
+// guesses, so only maxCodesPerHour codes are issued per account or email
+// address; beyond that the request is refused with 429.
+const issueClaimCode = async (user, db = query) => {
+  const [recent] = await db(
+    `SELECT COUNT(*) AS issued FROM order_claim_codes
+     WHERE (user_id = ? OR LOWER(email) = LOWER(?)) AND created_at > DATE_SUB(NOW(), INTERVAL 1 HOUR)`,
+    [user.id, user.email]
+  );
+  if (recent && parseInt(recent.issued) >= config.orderClaims.maxCodesPerHour) {
+    throw claimError('Too many claim codes requested; try again later', 429);
+  }
+  const claimable = await findClaimableOrders(user.email, db);
+  if (claimable.length === 0) return;
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  await db('UPDATE order_claim_codes SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL', [user.id]);
+  await db(
+    'INSERT INTO order_claim_codes (user_id, email, code_hash, expires_at) VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))',
+    [user.id, user.email, hashCode(code), config.orderClaims.codeTtlMinutes]
+  );
+  await sendMail({
+    to: user.email,
+    subject: 'Your code to link guest orders',
+    text: `Use code ${code} to add ${claimable.length} guest order(s) placed with this email address to your account. `
+      + `The code expires in ${config.orderClaims.codeTtlMinutes} minutes.`,
+    redact: [code],
+  });
+};
+
+// Check the user's latest claim code and, unless `burn` is false (listing the
+// claimable orders before claiming), burn it; wrong guesses count against it
+// either way. Runs outside the claim transaction so failed attempts are kept.
+const verifyClaimCode = async (user, code, { burn = true } = {}, db = query) => {
+  const [claimCode] = await db(
+    `SELECT * FROM order_claim_codes
+     WHERE user_id = ? AND used_at IS NULL AND expires_at > NOW()
+     ORDER BY created_at DESC, id DESC
+     LIMIT 1`,
+    [user.id]
+  );
+  if (!claimCode || claimCode.email.toLowerCase() !== String(user.email).toLowerCase()) {
+    throw claimError('No valid claim code; request a new one', 400);
+  }
+  if (claimCode.code_hash !== hashCode(code)) {
+    const attempts = claimCode.attempts + 1;
+    await db(
+      `UPDATE order_claim_codes SET attempts = ?${attempts >= config.orderClaims.maxAttempts ? ', used_at = NOW()' : ''} WHERE id = ?`,
+      [attempts, claimCode.id]
+    );
+    throw claimError('Invalid claim code', 400);
+  }
+  if (!burn) return;
+  // Only one request can burn the code
+  const result = await db('UPDATE order_claim_codes SET used_at = NOW() WHERE id = ? AND used_at IS NULL', [claimCode.id]);
+  if (result.affectedRows === 0) {
+    throw claimError('No valid claim code; request a new one', 400);
+  }
+};
+
+// Move guest orders into the user's account, inside a transaction. With
+// method 'secret_key' the one order `secretKey` unlocks is claimed; with
+// 'email_code' (after verifyClaimCode) every guest order with the account's
+// email, or just `orderIds` of them. Either way the order email must match the
+// account's. Each moved order is audited in order_claims.
+const claimGuestOrders = async ({ user, method, secretKey, orderIds, ipAddress = null }, db) => {
+  let orders;
+  if (method === 'secret_key') {
+    orders = await db('SELECT id, user_id, guest_session_id, email FROM orders WHERE secret_key = ? FOR UPDATE', [secretKey]);
+    if (orders.length === 0) {
+      throw claimError('Order not found', 404);
+    }
+    if (orders[0].user_id) {
+      throw claimError(orders[0].user_id === user.id ? 'Order is already in your account' : 'Order belongs to another account', 409);
+    }
+    if (String(orders[0].email).toLowerCase() !== String(user.email).toLowerCase()) {
+      throw claimError('Order was placed with a different email address', 403);
+    }
+  } else if (method === 'email_code') {
+    orders = await db(
+      'SELECT id, user_id, guest_session_id, email FROM orders WHERE user_id IS NULL AND LOWER(email) = LOWER(?) FOR UPDATE',
+      [user.email]
+    );
+    if (Array.isArray(orderIds) && orderIds.length > 0) {
+      const wanted = new Set(orderIds.map(Number));
+      orders = orders.filter(order => wanted.has(order.id));
+    }
+    if (orders.length === 0) {
+      throw claimError('No guest orders to claim', 404);
+    }
+  } else {
+    throw claimError(`method must be one of ${CLAIM_METHODS.join(', ')}`, 400);
+  }
+
+  for (const order of orders) {
+    await db('UPDATE orders SET user_id = ?, guest_session_id = NULL WHERE id = ?', [user.id, order.id]);
+    await db(
+      'INSERT INTO order_claims (order_id, user_id, method, previous_guest_session_id, order_email, ip_address) VALUES (?, ?, ?, ?, ?, ?)',
+      [order.id, user.id, method, order.guest_session_id, order.email, ipAddress]
+    );
+  }
+  return { method, orderIds: orders.map(order => order.id) };
+};
+
+module.exports = { CLAIM_METHODS, findClaimableOrders, issueClaimCode, verifyClaimCode, claimGuestOrders };
@@ -0,0 +1,129 @@
+const { ORDER_STATUSES } = require('./orderStatus');
+const { isDateKey } = require('./availability');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// sortBy values accepted by the order listings and the column each sorts on
+const ORDER_SORT_COLUMNS = {
+  created_at: 'o.created_at',
+  total_amount: 'o.total_amount',
+  status: 'o.status',
+  name: 'o.name',
+  email: 'o.email',
+  id: 'o.id',
+};
+
+// Turn the query string of an order listing into a WHERE clause, ORDER BY and
+// page. Filters: status (comma-separated), placedFrom/placedTo (order date,
+// inclusive), rentalFrom/rentalTo (orders with a line overlapping the range),
+// search (customer name or email), customerType (guest or registered),
+// productId, minTotal/maxTotal; sortBy/sortOrder; page/pageSize.
+// `userId` pins the listing to one customer. Returns the parts or { error }.
+const buildOrderListQuery = (params, { userId } = {}) => {
+  const conditions = [];
+  const values = [];
+
+  if (userId !== undefined) {
+    conditions.push('o.user_id = ?');
+    values.push(userId);
+  }
+  if (params.status) {
+    const statuses = String(params.status).split(',').map(status => status.trim()).filter(Boolean);
+    const invalid = statuses.filter(status => !ORDER_STATUSES.includes(status));
+    if (invalid.length > 0) {
+      return { error: `Invalid status: ${invalid.join(', ')} (must be one of ${ORDER_STATUSES.join(', ')})` };
+    }
+    conditions.push(`o.status IN (${statuses.map(() => '?').join(', ')})`);
+    values.push(...statuses);
+  }
+
+  for (const field of ['placedFrom', 'placedTo', 'rentalFrom', 'rentalTo']) {
+    if (params[field] !== undefined && !isDateKey(params[field])) {
+      return { error: `${field} must be a date in YYYY-MM-DD format` };
+    }
+  }
+  if (params.placedFrom) {
+    conditions.push('o.created_at >= ?');
+    values.push(params.placedFrom);
+  }
+  if (params.placedTo) {
+    conditions.push('o.created_at < DATE_ADD(?, INTERVAL 1 DAY)');
+    values.push(params.placedTo);
+  }
+  // Rental periods run [start_date, end_date); rentalTo is an inclusive day
+  if (params.rentalFrom || params.rentalTo) {
+    const overlap = [];
+    if (params.rentalTo) {
+      overlap.push('ri.start_date <= ?');
+      values.push(params.rentalTo);
+    }
+    if (params.rentalFrom) {
+      overlap.push('ri.end_date > ?');
+      values.push(params.rentalFrom);
+    }
+    conditions.push(`EXISTS (SELECT 1 FROM order_items ri WHERE ri.order_id = o.id AND ${overlap.join(' AND ')})`);
+  }
+
+  if (params.search && String(params.search).trim() !== '') {
+    const pattern = `%${String(params.search).trim().replace(/[\\%_]/g, char => `\\${char}`)}%`;
+    conditions.push('(o.name LIKE ? OR o.email LIKE ?)');
+    values.push(pattern, pattern);
+  }
+  if (params.customerType !== undefined) {
+    if (!['guest', 'registered'].includes(params.customerType)) {
+      return { error: 'customerType must be guest or registered' };
+    }
+    conditions.push(params.customerType === 'guest' ? 'o.user_id IS NULL' : 'o.user_id IS NOT NULL');
+  }
+  if (params.productId !== undefined) {
+    const productId = Number(params.productId);
+    if (!Number.isInteger(productId) || productId < 1) {
+      return { error: 'productId must be a positive integer' };
+    }
+    // Bundle component lines count, so a product is found inside bundles too
+    conditions.push('EXISTS (SELECT 1 FROM order_items pi WHERE pi.order_id = o.id AND pi.product_id = ?)');
+    values.push(productId);
+  }
+  for (const [field, operator] of [['minTotal', '>='], ['maxTotal', '<=']]) {
+    if (params[field] !== undefined) {
+      const amount = parseFloat(params[field]);
+      if (isNaN(amount) || amount < 0) {
+        return { error: `${field} must be a non-negative number` };
+      }
+      conditions.push(`o.total_amount ${operator} ?`);
+      values.push(amount);
+    }
+  }
+
+  const sortBy = params.sortBy || 'created_at';
+  if (!Object.prototype.hasOwnProperty.call(ORDER_SORT_COLUMNS, sortBy)) {
+    return { error: `sortBy must be one of ${Object.keys(ORDER_SORT_COLUMNS).join(', ')}` };
+  }
+  const sortOrder = String(params.sortOrder || 'desc').toLowerCase();
+  if (!['asc', 'desc'].includes(sortOrder)) {
+    return { error: 'sortOrder must be asc or desc' };
+  }
+
+  const page = params.page !== undefined ? Number(params.page) : 1;
+  const pageSize = params.pageSize !== undefined ? Number(params.pageSize) : DEFAULT_PAGE_SIZE;
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: 'page must be a positive integer' };
+  }
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    return { error: `pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    values,
+    // id breaks ties so pages never overlap
+    orderBy: `ORDER BY ${ORDER_SORT_COLUMNS[sortBy]} ${sortOrder.toUpperCase()}, o.id ${sortOrder.toUpperCase()}`,
+    page,
+    pageSize,
+    // Validated integers; inlined because prepared statements reject numeric LIMIT parameters
+    limit: `LIMIT ${pageSize} OFFSET ${(page - 1) * pageSize}`,
+  };
+};
+
+module.exports = { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, ORDER_SORT_COLUMNS, buildOrderListQuery };
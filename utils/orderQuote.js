@@ -0,0 +1,167 @@
+const { query } = require('./db');
+const { config } = require('../config');
+const { checkAvailability, unavailableError } = require('./availability');
+const { roundMoney, effectiveDailyRate, priceRental } = require('./pricing');
+const { applyCoupon } = require('./coupons');
+const { withEffectivePrices } = require('./sales');
+const { getBundleComponents } = require('./bundles');
+const { resolveAddons, priceAddons } = require('./addons');
+const { resolveFulfillment } = require('./delivery');
+
+const requestError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Load the cart row (when cartId is given) and product behind one requested line
+const resolveLine = async ({ cartId, productId, start_date, end_date, quantity, addonIds }, { userId, guestSessionId }, db) => {
+  let cartItem = null;
+  if (cartId) {
+    const queryStr = userId
+      ? 'SELECT * FROM cart WHERE id = ? AND user_id = ?'
+      : 'SELECT * FROM cart WHERE id = ? AND guest_session_id = ?';
+    const [item] = await db(queryStr, [cartId, userId || guestSessionId || null]);
+    cartItem = item;
+    console.log('Cart item query result:', cartItem);
+    if (!cartItem) {
+      throw requestError(`Cart item ${cartId} not found or does not belong to user`, 404);
+    }
+  }
+
+  const [row] = await db(
+    `SELECT id, name, image_url, product_type, category_id, price_per_day, sale_price, weekly_rate, monthly_rate, duration_discounts, deposit_amount
+     FROM products WHERE id = ? AND available = TRUE`,
+    [productId || (cartItem && cartItem.product_id) || null]
+  );
+  console.log('Product query result:', row);
+  if (!row) {
+    throw requestError(`Product ${productId} not found or unavailable`, 404);
+  }
+  const [product] = await withEffectivePrices([row], db);
+
+  const startDate = cartItem ? cartItem.start_date : start_date;
+  const endDate = cartItem ? cartItem.end_date : end_date;
+  const qty = cartItem ? cartItem.quantity : quantity;
+  if (!startDate || !endDate || !qty) {
+    throw requestError('Missing required fields: start_date, end_date, quantity');
+  }
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  if (isNaN(start.getTime()) || isNaN(end.getTime()) || start >= end) {
+    throw requestError('Invalid date range');
+  }
+  if (!Number.isInteger(Number(qty)) || Number(qty) < 1) {
+    throw requestError('Quantity must be a positive integer');
+  }
+
+  return { cartId: cartId || null, product, startDate, endDate, quantity: Number(qty), addonIds: cartItem ? cartItem.addon_ids : addonIds };
+};
+
+// Resolve, availability-check and price every line of an order request.
+// Both POST /api/orders/quote and order placement go through here, so a quote
+// always matches what is charged. Placement passes its transaction query after
+// locking the products; with `allowPartial` lines are cut to the free units.
+// `email` identifies guests for per-customer coupon limits; `excludeOrderItemIds`
+// frees the stock of stored lines being repriced (date-change requests).
+// `fulfillment` picks pickup or delivery (utils/delivery.js); placement passes
+// `lockSlots` so the chosen delivery slots are held until commit.
+const buildOrderQuote = async ({ cartItems, userId, guestSessionId, email, couponCode, allowPartial = false, excludeOrderItemIds = [], fulfillment, lockSlots = false }, db = query) => {
+  const checkoutCartIds = cartItems.map(item => item.cartId).filter(Boolean);
+  const items = [];
+  const adjustedItems = [];
+
+  for (const cartItem of cartItems) {
+    const line = await resolveLine(cartItem, { userId, guestSessionId }, db);
+    const { product, startDate, endDate } = line;
+    let { quantity } = line;
+
+    // Earlier lines of the same request count against stock too
+    const availability = await checkAvailability({
+      productId: product.id,
+      startDate,
+      endDate,
+      quantity,
+      excludeCartIds: checkoutCartIds,
+      excludeOrderItemIds,
+      pendingBookings: items,
+    }, db);
+    console.log('Availability check result:', { productId: product.id, ...availability });
+    if (!availability.available) {
+      if (!allowPartial || availability.free <= 0) {
+        throw unavailableError(availability, product.id);
+      }
+      adjustedItems.push({ productId: product.id, cartId: line.cartId, requested: quantity, allocated: availability.free });
+      quantity = availability.free;
+    }
+
+    // A bundle is priced as one product but books stock of its components
+    const components = product.product_type === 'bundle'
+      ? (await getBundleComponents([product.id], db)).map(component => ({
+          product_id: component.component_id,
+          product_name: component.component_name,
+          start_date: startDate,
+          end_date: endDate,
+          quantity: component.quantity * quantity,
+        }))
+      : [];
+
+    const dailyRate = effectiveDailyRate(product);
+    const pricing = priceRental({ product, dailyRate, startDate, endDate, quantity });
+    const addons = priceAddons(await resolveAddons(product, line.addonIds, db), { days: pricing.days, quantity, rentalSubtotal: pricing.total });
+    items.push({
+      cart_id: line.cartId,
+      product_id: product.id,
+      product_name: product.name,
+      image_url: product.image_url || null,
+      category_id: product.category_id,
+      start_date: startDate,
+      end_date: endDate,
+      quantity,
+      days: pricing.days,
+      regular_rate: parseFloat(product.price_per_day),
+      unit_rate: dailyRate,
+      sale_applied: dailyRate < parseFloat(product.price_per_day),
+      pricing_tier: pricing.tier,
+      pricing_breakdown: pricing.breakdown,
+      subtotal: pricing.total,
+      addons,
+      addons_total: roundMoney(addons.reduce((sum, addon) => sum + addon.amount, 0)),
+      deposit: roundMoney((parseFloat(product.deposit_amount) || 0) * quantity),
+      components,
+    });
+  }
+
+  // Add-ons are part of the subtotal (and taxed) but coupons only discount rentals
+  const rentalTotal = roundMoney(items.reduce((sum, item) => sum + item.subtotal, 0));
+  const addonsTotal = roundMoney(items.reduce((sum, item) => sum + item.addons_total, 0));
+  const subtotal = roundMoney(rentalTotal + addonsTotal);
+  const coupon = couponCode ? await applyCoupon({ code: couponCode, items, subtotal, userId, email }, db) : null;
+  const discountTotal = coupon ? coupon.discount : 0;
+  // The delivery fee is taxed like the rental but never discounted
+  const delivery = await resolveFulfillment(fulfillment, items, { lockSlots }, db);
+  const deliveryFee = delivery.fee;
+  const taxTotal = roundMoney((subtotal - discountTotal + deliveryFee) * config.pricing.taxRate);
+  // Refundable deposits are collected alongside but never part of the rental total
+  const depositTotal = roundMoney(items.reduce((sum, item) => sum + item.deposit, 0));
+  const total = roundMoney(subtotal - discountTotal + deliveryFee + taxTotal);
+
+  return {
+    items,
+    adjustedItems,
+    rentalTotal,
+    addonsTotal,
+    subtotal,
+    coupon,
+    discountTotal,
+    fulfillment: delivery,
+    deliveryFee,
+    taxRate: config.pricing.taxRate,
+    taxTotal,
+    depositTotal,
+    total,
+    amountDue: roundMoney(total + depositTotal),
+  };
+};
+
+module.exports = { buildOrderQuote };
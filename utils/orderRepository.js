@@ -0,0 +1,133 @@
+const { query } = require('./db');
+const { toDateKey } = require('./availability');
+const { roundMoney } = require('./pricing');
+const { getHandoversByOrder } = require('./handovers');
+
+const toNumber = value => (value === null || value === undefined ? null : parseFloat(value));
+const toDate = value => (value ? toDateKey(value) : null);
+
+// An order_items row as returned by the API: numbers as numbers, rental dates
+// as YYYY-MM-DD and the product as it was when the order was placed (falling
+// back to the live product for rows older than the snapshot columns)
+const formatItem = row => ({
+  id: row.id,
+  order_id: row.order_id,
+  parent_item_id: row.parent_item_id,
+  product_id: row.product_id,
+  product_name: row.snapshot_name || row.current_name || `Product ${row.product_id}`,
+  image_url: row.snapshot_image_url || row.current_image_url || null,
+  product: {
+    id: row.product_id,
+    name: row.current_name,
+    image_url: row.current_image_url || null,
+    product_type: row.product_type,
+    is_deleted: !!row.product_is_deleted,
+  },
+  start_date: toDate(row.start_date),
+  end_date: toDate(row.end_date),
+  original_start_date: toDate(row.original_start_date),
+  original_end_date: toDate(row.original_end_date),
+  quantity: parseInt(row.quantity) || 0,
+  price_per_day: toNumber(row.price_per_day),
+  total_price: toNumber(row.total_price),
+  pricing_tier: row.pricing_tier,
+  deposit_amount: toNumber(row.deposit_amount),
+  picked_up_at: row.picked_up_at,
+  returned_at: row.returned_at,
+  late_fee: toNumber(row.late_fee),
+});
+
+const formatAddon = row => ({
+  id: row.id,
+  addon_id: row.addon_id,
+  name: row.name,
+  pricing_type: row.pricing_type,
+  price: toNumber(row.price),
+  amount: toNumber(row.amount),
+});
+
+// Attach items to order rows, loaded relationally: top-level lines with their
+// add-ons and bundle components nested, plus the order's handover records.
+// Order rows are returned in the order given.
+const hydrateOrders = async (orders, db = query) => {
+  if (orders.length === 0) return [];
+  const orderIds = orders.map(order => order.id);
+  const placeholders = orderIds.map(() => '?').join(', ');
+
+  const itemRows = await db(
+    `SELECT oi.*, oi.product_name AS snapshot_name, oi.product_image_url AS snapshot_image_url,
+            p.name AS current_name, p.image_url AS current_image_url, p.product_type, p.is_deleted AS product_is_deleted
+     FROM order_items oi
+     LEFT JOIN products p ON oi.product_id = p.id
+     WHERE oi.order_id IN (${placeholders})
+     ORDER BY oi.id`,
+    orderIds
+  );
+  const addonRows = await db(
+    `SELECT a.* FROM order_item_addons a
+     JOIN order_items oi ON a.order_item_id = oi.id
+     WHERE oi.order_id IN (${placeholders})
+     ORDER BY a.id`,
+    orderIds
+  );
+  const handoversByOrder = await getHandoversByOrder(orderIds, db);
+
+  const itemsByOrder = new Map(orderIds.map(id => [id, []]));
+  const componentsByParent = new Map();
+  for (const row of itemRows) {
+    const item = formatItem(row);
+    if (item.parent_item_id) {
+      if (!componentsByParent.has(item.parent_item_id)) componentsByParent.set(item.parent_item_id, []);
+      componentsByParent.get(item.parent_item_id).push(item);
+    } else {
+      itemsByOrder.get(item.order_id).push(item);
+    }
+  }
+  const addonsByItem = new Map();
+  for (const row of addonRows) {
+    if (!addonsByItem.has(row.order_item_id)) addonsByItem.set(row.order_item_id, []);
+    addonsByItem.get(row.order_item_id).push(formatAddon(row));
+  }
+
+  return orders.map(order => ({
+    ...order,
+    items: itemsByOrder.get(order.id).map(item => {
+      const addons = addonsByItem.get(item.id) || [];
+      return {
+        ...item,
+        components: componentsByParent.get(item.id) || [],
+        addons,
+        addons_total: roundMoney(addons.reduce((sum, addon) => sum + addon.amount, 0)),
+      };
+    }),
+    handovers: handoversByOrder.get(order.id) || [],
+  }));
+};
+
+// Orders matching `where` (a SQL condition on orders aliased o), hydrated
+const findOrders = async (where, values = [], { orderBy = 'ORDER BY o.created_at DESC, o.id DESC' } = {}, db = query) => {
+  const orders = await db(`SELECT o.* FROM orders o WHERE ${where} ${orderBy}`, values);
+  return hydrateOrders(orders, db);
+};
+
+const findOrderById = async (orderId, db = query) => {
+  const [order] = await findOrders('o.id = ?', [orderId], {}, db);
+  return order || null;
+};
+
+const findOrderBySecretKey = async (secretKey, db = query) => {
+  const [order] = await findOrders('o.secret_key = ?', [secretKey], {}, db);
+  return order || null;
+};
+
+const findOrdersByUser = (userId, db = query) => findOrders('o.user_id = ?', [userId], {}, db);
+
+// Orders with the given ids, hydrated, in the order of `orderIds` (a page of a listing)
+const findOrdersByIds = async (orderIds, db = query) => {
+  if (orderIds.length === 0) return [];
+  const orders = await findOrders(`o.id IN (${orderIds.map(() => '?').join(', ')})`, orderIds, { orderBy: '' }, db);
+  const byId = new Map(orders.map(order => [order.id, order]));
+  return orderIds.map(id => byId.get(id)).filter(Boolean);
+};
+
+module.exports = { hydrateOrders, findOrders, findOrderById, findOrderBySecretKey, findOrdersByUser, findOrdersByIds };
@@ -0,0 +1,71 @@
+const { query } = require('./db');
+
+// Order lifecycle: pending -> approved -> picked_up -> returned -> completed,
+// with pending -> rejected and pending/approved -> cancelled as exits.
+// completed, rejected and cancelled are final.
+const ORDER_TRANSITIONS = {
+  pending: ['approved', 'rejected', 'cancelled'],
+  approved: ['picked_up', 'cancelled'],
+  picked_up: ['returned'],
+  returned: ['completed'],
+  completed: [],
+  rejected: [],
+  cancelled: [],
+};
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+// Reached only when every item has been picked up or returned through the
+// item routes, which record timestamps, unit status and late fees
+const ITEM_DRIVEN_STATUSES = ['picked_up', 'returned'];
+
+const canTransition = (from, to) => (ORDER_TRANSITIONS[from] || []).includes(to);
+
+// Append a row to an order's status trail
+const recordStatusChange = async ({ orderId, fromStatus = null, toStatus, actorId = null, actorRole = null, note = null }, db = query) => {
+  await db(
+    'INSERT INTO order_status_history (order_id, from_status, to_status, actor_id, actor_role, note) VALUES (?, ?, ?, ?, ?, ?)',
+    [orderId, fromStatus, toStatus, actorId, actorRole, note]
+  );
+};
+
+// Move an order to `toStatus`, rejecting transitions the lifecycle does not
+// allow (409), and record who did it. Locks the order row; run inside a
+// transaction together with whatever else the change implies.
+const transitionOrder = async (orderId, toStatus, { actorId = null, actorRole = null, note = null } = {}, db = query) => {
+  if (!ORDER_STATUSES.includes(toStatus)) {
+    const error = new Error(`Invalid status: must be one of ${ORDER_STATUSES.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  const [order] = await db('SELECT id, status FROM orders WHERE id = ? FOR UPDATE', [orderId]);
+  if (!order) {
+    const error = new Error('Order not found');
+    error.status = 404;
+    throw error;
+  }
+  if (!canTransition(order.status, toStatus)) {
+    const allowed = ORDER_TRANSITIONS[order.status] || [];
+    const error = new Error(`Cannot change order status from ${order.status} to ${toStatus}`
+      + (allowed.length > 0 ? ` (allowed: ${allowed.join(', ')})` : ` (${order.status} is final)`));
+    error.status = 409;
+    throw error;
+  }
+
+  await db('UPDATE orders SET status = ? WHERE id = ?', [toStatus, order.id]);
+  await recordStatusChange({ orderId: order.id, fromStatus: order.status, toStatus, actorId, actorRole, note }, db);
+  return { orderId: order.id, fromStatus: order.status, toStatus };
+};
+
+// Status trail of an order, oldest first, with the actor's username
+const getStatusHistory = async (orderId, db = query) => {
+  return db(
+    `SELECT h.id, h.from_status, h.to_status, h.actor_id, h.actor_role, u.username AS actor_name, h.note, h.created_at
+     FROM order_status_history h
+     LEFT JOIN users u ON h.actor_id = u.id
+     WHERE h.order_id = ?
+     ORDER BY h.created_at ASC, h.id ASC`,
+    [orderId]
+  );
+};
+
+module.exports = { ORDER_STATUSES, ORDER_TRANSITIONS, ITEM_DRIVEN_STATUSES, canTransition, recordStatusChange, transitionOrder, getStatusHistory };
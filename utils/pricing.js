@@ -0,0 +1,133 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_WEEK = 7;
+const DAYS_PER_MONTH = 30;
+
+const roundMoney = amount => Math.round(amount * 100) / 100;
+
+const parseRate = value => {
+  const rate = parseFloat(value);
+  return rate > 0 ? rate : null;
+};
+
+// Per-day price a product is currently sold at. Rows decorated by
+// withEffectivePrices (utils/sales.js) already account for scheduled sales.
+const effectiveDailyRate = product => {
+  if (product.effective_price !== undefined) {
+    return parseFloat(product.effective_price);
+  }
+  return product.sale_price !== null && product.sale_price !== undefined ? parseFloat(product.sale_price) : parseFloat(product.price_per_day);
+};
+
+// Billable days of a rental; a started day counts as a full day
+const rentalDays = (startDate, endDate) => {
+  return Math.ceil((new Date(endDate) - new Date(startDate)) / DAY_MS);
+};
+
+// duration_discounts is stored as JSON: [{ min_days, percent_off }]
+const parseDurationDiscounts = (value) => {
+  let discounts = value;
+  if (typeof value === 'string') {
+    try {
+      discounts = JSON.parse(value);
+    } catch (error) {
+      return [];
+    }
+  }
+  if (!Array.isArray(discounts)) return [];
+  return discounts
+    .filter(discount => discount && typeof discount === 'object')
+    .map(discount => ({ min_days: parseInt(discount.min_days), percent_off: parseFloat(discount.percent_off) }))
+    .filter(discount => discount.min_days > 0 && discount.percent_off > 0 && discount.percent_off < 100)
+    .sort((a, b) => a.min_days - b.min_days);
+};
+
+// Returns an error message for invalid admin input, or null
+const validateDurationDiscounts = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  let discounts = value;
+  if (typeof value === 'string') {
+    try {
+      discounts = JSON.parse(value);
+    } catch (error) {
+      discounts = null;
+    }
+  }
+  if (!Array.isArray(discounts)) {
+    return 'duration_discounts must be an array of { min_days, percent_off }';
+  }
+  const valid = discounts.every(discount => discount && typeof discount === 'object'
+    && Number.isInteger(Number(discount.min_days)) && Number(discount.min_days) > 0
+    && Number(discount.percent_off) > 0 && Number(discount.percent_off) < 100);
+  return valid ? null : 'Each duration discount needs a positive integer min_days and a percent_off between 0 and 100';
+};
+
+// Cheapest way to cover `days` with whole days, weeks and months
+// (a period may overrun the rental when that is cheaper).
+const cheapestPeriodCombination = (days, { daily, weekly, monthly }) => {
+  const best = [{ cost: 0, months: 0, weeks: 0, days: 0 }];
+  for (let d = 1; d <= days; d++) {
+    const previousDay = best[d - 1];
+    let choice = { cost: previousDay.cost + daily, months: previousDay.months, weeks: previousDay.weeks, days: previousDay.days + 1 };
+    if (weekly) {
+      const base = best[Math.max(d - DAYS_PER_WEEK, 0)];
+      if (base.cost + weekly < choice.cost) {
+        choice = { cost: base.cost + weekly, months: base.months, weeks: base.weeks + 1, days: base.days };
+      }
+    }
+    if (monthly) {
+      const base = best[Math.max(d - DAYS_PER_MONTH, 0)];
+      if (base.cost + monthly < choice.cost) {
+        choice = { cost: base.cost + monthly, months: base.months + 1, weeks: base.weeks, days: base.days };
+      }
+    }
+    best.push(choice);
+  }
+  return best[days];
+};
+
+// Price a rental line. `dailyRate` is the per-day price to start from; the
+// product supplies optional weekly_rate, monthly_rate and duration_discounts.
+// Picks whichever tier is cheapest and reports which one was applied.
+const priceRental = ({ product, dailyRate, startDate, endDate, quantity }) => {
+  const days = rentalDays(startDate, endDate);
+  const daily = parseFloat(dailyRate);
+  const weekly = parseRate(product.weekly_rate);
+  const monthly = parseRate(product.monthly_rate);
+
+  const combination = cheapestPeriodCombination(days, { daily, weekly, monthly });
+  let tier = combination.months > 0 ? 'monthly' : combination.weeks > 0 ? 'weekly' : 'daily';
+  let unitTotal = combination.cost;
+  let breakdown = { months: combination.months, weeks: combination.weeks, days: combination.days };
+
+  const discount = parseDurationDiscounts(product.duration_discounts)
+    .filter(candidate => days >= candidate.min_days)
+    .pop();
+  if (discount) {
+    const discounted = days * daily * (1 - discount.percent_off / 100);
+    if (discounted < unitTotal) {
+      tier = 'duration_discount';
+      unitTotal = discounted;
+      breakdown = { min_days: discount.min_days, percent_off: discount.percent_off };
+    }
+  }
+
+  unitTotal = roundMoney(unitTotal);
+  return {
+    days,
+    dailyRate: daily,
+    tier,
+    breakdown,
+    unitTotal,
+    effectiveDailyRate: days > 0 ? roundMoney(unitTotal / days) : daily,
+    total: roundMoney(unitTotal * quantity),
+  };
+};
+
+module.exports = {
+  roundMoney,
+  effectiveDailyRate,
+  rentalDays,
+  parseDurationDiscounts,
+  validateDurationDiscounts,
+  priceRental,
+};
@@ -0,0 +1,54 @@
+const { query } = require('./db');
+const { roundMoney } = require('./pricing');
+
+// Scheduled sales running right now for any of the given products or categories
+const getActiveSales = async (productIds, categoryIds, db = query) => {
+  if (productIds.length === 0 && categoryIds.length === 0) return [];
+  const conditions = [];
+  const params = [];
+  if (productIds.length > 0) {
+    conditions.push(`product_id IN (${productIds.map(() => '?').join(', ')})`);
+    params.push(...productIds);
+  }
+  if (categoryIds.length > 0) {
+    conditions.push(`category_id IN (${categoryIds.map(() => '?').join(', ')})`);
+    params.push(...categoryIds);
+  }
+  return db(
+    `SELECT * FROM sales WHERE starts_at <= NOW() AND ends_at > NOW() AND (${conditions.join(' OR ')})`,
+    params
+  );
+};
+
+// Lowest price among the product's regular/manual sale price and the active
+// scheduled sales that target it or its category
+const applySales = (product, sales) => {
+  const regular = parseFloat(product.price_per_day);
+  let best = {
+    price: product.sale_price !== null && product.sale_price !== undefined ? parseFloat(product.sale_price) : regular,
+    endsAt: null,
+    saleId: null,
+  };
+  for (const sale of sales) {
+    const applies = sale.product_id === product.id || (sale.category_id !== null && sale.category_id === product.category_id);
+    if (!applies) continue;
+    const price = sale.sale_price !== null
+      ? parseFloat(sale.sale_price)
+      : regular * (1 - parseFloat(sale.percent_off) / 100);
+    if (price < best.price) {
+      best = { price, endsAt: sale.ends_at, saleId: sale.id };
+    }
+  }
+  return { ...product, effective_price: roundMoney(best.price), sale_ends_at: best.endsAt, active_sale_id: best.saleId };
+};
+
+// Decorate product rows (needing id, category_id, price_per_day, sale_price)
+// with effective_price, sale_ends_at and active_sale_id
+const withEffectivePrices = async (products, db = query) => {
+  const productIds = [...new Set(products.map(product => product.id))];
+  const categoryIds = [...new Set(products.map(product => product.category_id).filter(Boolean))];
+  const sales = await getActiveSales(productIds, categoryIds, db);
+  return products.map(product => applySales(product, sales));
+};
+
+module.exports = { withEffectivePrices };